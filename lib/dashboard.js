@@ -0,0 +1,553 @@
+/**
+ * Dashboard page
+ * * The single-page map served at / : Leaflet map, tracker list, trips panel and history playback.
+ * It talks to the server only through the REST API and the WebSocket feed.
+ */
+
+function getHtmlContent() {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Live GPS Tracker</title>
+    <link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css" integrity="sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY=" crossorigin=""/>
+    <script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js" integrity="sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=" crossorigin=""></script>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; display: flex; flex-direction: column; height: 100vh; background-color: #f0f2f5; }
+        #header { background: #fff; padding: 10px 20px; border-bottom: 1px solid #ddd; box-shadow: 0 2px 4px rgba(0,0,0,0.1); z-index: 1001; }
+        #header h1 { margin: 0; font-size: 1.5em; color: #333; }
+        #main-content { display: flex; flex: 1; overflow: hidden; }
+        #map { width: 75%; height: 100%; }
+        #sidebar { width: 25%; height: 100%; background: #fff; overflow-y: auto; box-shadow: -2px 0 5px rgba(0,0,0,0.1); padding: 15px; box-sizing: border-box; }
+        #sidebar h2 { margin-top: 0; color: #444; border-bottom: 2px solid #eee; padding-bottom: 10px;}
+        .tracker-info { border: 1px solid #e1e1e1; border-radius: 8px; margin-bottom: 15px; padding: 15px; background: #fafafa; transition: background-color 0.3s; }
+        .tracker-info:hover { background-color: #f0f8ff; }
+        .tracker-info h3 { margin: 0 0 10px 0; color: #0056b3; }
+        .tracker-info p { margin: 4px 0; font-size: 0.9em; }
+        .tracker-info strong { color: #555; }
+        .leaflet-popup-content p { margin: 5px 0; }
+        #trips-panel { margin-top: 20px; }
+        #trips-panel .controls { display: flex; gap: 6px; margin-bottom: 10px; }
+        #trips-panel select, #trips-panel input { flex: 1; min-width: 0; }
+        .trip-row { border-left: 4px solid #1e88e5; padding: 6px 10px; margin-bottom: 8px; background: #fafafa; cursor: pointer; font-size: 0.85em; }
+        .trip-row.stop { border-left-color: #9e9e9e; cursor: default; }
+        .trip-row:hover { background-color: #f0f8ff; }
+        #header { display: flex; align-items: center; justify-content: space-between; }
+        #mode-switch button { padding: 6px 14px; border: 1px solid #1e88e5; background: #fff; color: #1e88e5; cursor: pointer; }
+        #mode-switch button.active { background: #1e88e5; color: #fff; }
+        .follow-button { float: right; font-size: 0.8em; padding: 2px 8px; cursor: pointer; }
+        .follow-button.following { background: #1e88e5; color: #fff; border: 1px solid #1e88e5; }
+        body[data-mode="live"] #playback-panel, body[data-mode="playback"] #live-panels { display: none; }
+        #playback-panel label { display: block; font-size: 0.85em; margin: 8px 0 2px; color: #555; }
+        #playback-panel select, #playback-panel input[type="datetime-local"] { width: 100%; box-sizing: border-box; }
+        #playback-controls { margin-top: 15px; }
+        #playback-controls .row { display: flex; gap: 6px; align-items: center; margin-bottom: 8px; }
+        #playback-scrubber { width: 100%; }
+        #playback-status p { margin: 4px 0; font-size: 0.9em; }
+        .speed-legend span { display: inline-block; width: 14px; height: 4px; margin: 0 4px 2px 8px; vertical-align: middle; }
+    </style>
+</head>
+<body data-mode="live">
+    <div id="header">
+        <h1>Live GPS Tracker Dashboard</h1>
+        <div id="mode-switch">
+            <button id="mode-live" class="active">Live</button><button id="mode-playback">Playback</button>
+        </div>
+    </div>
+    <div id="main-content">
+        <div id="map"></div>
+        <div id="sidebar">
+            <div id="live-panels">
+                <h2>Trackers</h2>
+                <div id="tracker-list">
+                    <p>Waiting for tracker data...</p>
+                </div>
+                <div id="trips-panel">
+                    <h2>Trips</h2>
+                    <div class="controls">
+                        <select id="trip-tracker" class="tracker-select"></select>
+                        <input type="date" id="trip-date">
+                        <button id="trip-load">Load</button>
+                    </div>
+                    <div id="trip-summary"></div>
+                    <div id="trip-list"></div>
+                </div>
+            </div>
+            <div id="playback-panel">
+                <h2>Playback</h2>
+                <label for="playback-tracker">Tracker</label>
+                <select id="playback-tracker" class="tracker-select"></select>
+                <label for="playback-from">From</label>
+                <input type="datetime-local" id="playback-from">
+                <label for="playback-to">To</label>
+                <input type="datetime-local" id="playback-to">
+                <p><button id="playback-load">Load history</button></p>
+                <div id="playback-controls">
+                    <div class="row">
+                        <button id="playback-toggle" disabled>Play</button>
+                        <select id="playback-speed">
+                            <option value="1">1x</option>
+                            <option value="10">10x</option>
+                            <option value="30" selected>30x</option>
+                            <option value="60">60x</option>
+                            <option value="300">300x</option>
+                        </select>
+                    </div>
+                    <input type="range" id="playback-scrubber" min="0" max="0" step="1000" value="0" disabled>
+                    <div id="playback-status"><p>Pick a tracker and time range.</p></div>
+                    <p class="speed-legend">
+                        <span style="background:#9e9e9e"></span>&lt;5
+                        <span style="background:#43a047"></span>&lt;30
+                        <span style="background:#fdd835"></span>&lt;60
+                        <span style="background:#fb8c00"></span>&lt;90
+                        <span style="background:#e53935"></span>90+ km/h
+                    </p>
+                </div>
+            </div>
+        </div>
+    </div>
+    <script>
+        const map = L.map('map').setView([28.3949, 84.1240], 7); // Centered on Nepal
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+            attribution: '© <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+        }).addTo(map);
+
+        const trackerMarkers = new Map();
+        const liveLayer = L.layerGroup().addTo(map); // Live markers, hidden during playback
+        let followedImei = null;
+
+        const wsToken = new URLSearchParams(location.search).get('token');
+        const wsScheme = location.protocol === 'https:' ? 'wss://' : 'ws://';
+        const ws = new WebSocket(wsScheme + location.host + (wsToken ? '/?token=' + encodeURIComponent(wsToken) : ''));
+        // REST calls send the same viewer token as the WebSocket
+        const apiFetch = url => fetch(url, wsToken ? { headers: { Authorization: 'Bearer ' + wsToken } } : {});
+
+        // Optional feed filter from the page URL: ?imeis=a,b&groups=x&bbox=minLon,minLat,maxLon,maxLat
+        const pageParams = new URLSearchParams(location.search);
+        const listParam = name => (pageParams.get(name) || '').split(',').map(v => v.trim()).filter(Boolean);
+
+        ws.onopen = () => {
+            console.log('WebSocket connection established.');
+            const subscription = { type: 'subscribe', imeis: listParam('imeis'), groups: listParam('groups') };
+            if (pageParams.get('bbox')) subscription.bbox = listParam('bbox').map(Number);
+            if (subscription.imeis.length || subscription.groups.length || subscription.bbox) {
+                ws.send(JSON.stringify(subscription));
+            }
+        };
+        ws.onerror = (error) => console.error('WebSocket Error:', error);
+        ws.onclose = () => console.log('WebSocket connection closed.');
+
+        ws.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+            console.log('Received message:', message);
+
+            if (message.type === 'initial_state') {
+                liveLayer.clearLayers();
+                trackerMarkers.clear();
+                trackerState.clear(); // The snapshot replaces everything shown
+                updateTrackerList(message.data);
+                message.data.forEach(updateMapAndList);
+            } else if (message.type === 'update') {
+                updateMapAndList(message.data);
+            } else if (message.type === 'remove') {
+                removeTracker(message.imei);
+            }
+        };
+
+        function updateMapAndList(trackerData) {
+            updateTrackerList(trackerData);
+            addTrackerOption(trackerData);
+
+            if (typeof trackerData.lat !== 'number' || typeof trackerData.lon !== 'number') return;
+
+            const { imei, lat, lon, speed, course, datetime } = trackerData;
+            const popupContent = \`
+                <h3>\${escapeHtml(trackerData.displayName || 'IMEI: ' + imei)}</h3>
+                \${trackerData.plateNumber ? \`<p><strong>Plate:</strong> \${escapeHtml(trackerData.plateNumber)}</p>\` : ''}
+                <p><strong>Latitude:</strong> \${lat.toFixed(6)}</p>
+                <p><strong>Longitude:</strong> \${lon.toFixed(6)}</p>
+                <p><strong>Speed:</strong> \${escapeHtml(speed)} km/h</p>
+                <p><strong>Course:</strong> \${escapeHtml(course)}°</p>
+                <p><strong>Timestamp:</strong> \${new Date(datetime).toLocaleString()}</p>
+                \${formatStatus(trackerData)}
+            \`;
+
+            if (trackerMarkers.has(imei)) {
+                const marker = trackerMarkers.get(imei);
+                marker.setLatLng([lat, lon]);
+                marker.getPopup().setContent(popupContent);
+            } else {
+                const marker = L.marker([lat, lon]).addTo(liveLayer)
+                    .bindPopup(popupContent);
+                trackerMarkers.set(imei, marker);
+            }
+            if (imei === followedImei) map.panTo([lat, lon]);
+        }
+
+        // Trips panel: trips and stops for one tracker and day from /api/trackers/:imei/trips
+        const tripLayer = L.layerGroup().addTo(map);
+        const tripTrackerSelect = document.getElementById('trip-tracker');
+        const tripDateInput = document.getElementById('trip-date');
+        tripDateInput.value = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+        document.getElementById('trip-load').addEventListener('click', loadTrips);
+
+        // Keeps the trips and playback tracker pickers in step with the trackers seen
+        function addTrackerOption(trackerData) {
+            document.querySelectorAll('.tracker-select').forEach(select => {
+                if (select.querySelector(\`option[value="\${CSS.escape(trackerData.imei)}"]\`)) return;
+                const option = document.createElement('option');
+                option.value = trackerData.imei;
+                option.textContent = trackerData.displayName || trackerData.imei;
+                select.appendChild(option);
+            });
+        }
+
+        // Device names, plates and IMEIs come from the registry and devices; never trust them as markup
+        function escapeHtml(value) {
+            return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+        }
+
+        function formatDuration(seconds) {
+            const hours = Math.floor(seconds / 3600);
+            const minutes = Math.round((seconds % 3600) / 60);
+            return hours > 0 ? \`\${hours}h \${minutes}m\` : \`\${minutes}m\`;
+        }
+
+        async function loadTrips() {
+            const imei = tripTrackerSelect.value;
+            if (!imei || !tripDateInput.value) return;
+            const from = new Date(tripDateInput.value + 'T00:00:00');
+            const to = new Date(from.getTime() + 24 * 60 * 60 * 1000 - 1);
+            const tripList = document.getElementById('trip-list');
+            const summary = document.getElementById('trip-summary');
+            tripLayer.clearLayers();
+            tripList.innerHTML = '<p>Loading...</p>';
+
+            const response = await apiFetch(\`/api/trackers/\${encodeURIComponent(imei)}/trips?from=\${from.toISOString()}&to=\${to.toISOString()}\`);
+            if (!response.ok) {
+                tripList.innerHTML = '<p>Could not load trips.</p>';
+                return;
+            }
+            const result = await response.json();
+            summary.innerHTML = \`<p><strong>\${result.totals.trips} trips</strong>, \${(result.totals.distanceMeters / 1000).toFixed(1)} km,
+                driving \${formatDuration(result.totals.movingSeconds)}, idle \${formatDuration(result.totals.idleSeconds)}</p>\`;
+
+            const entries = [
+                ...result.trips.map(trip => ({ kind: 'trip', time: trip.startTime, trip })),
+                ...result.stops.map(stop => ({ kind: 'stop', time: stop.startTime, stop }))
+            ].sort((a, b) => a.time.localeCompare(b.time));
+
+            tripList.innerHTML = entries.length ? '' : '<p>No trips on this day.</p>';
+            for (const entry of entries) {
+                const row = document.createElement('div');
+                if (entry.kind === 'trip') {
+                    const { trip } = entry;
+                    row.className = 'trip-row';
+                    row.innerHTML = \`
+                        <strong>\${new Date(trip.startTime).toLocaleTimeString()} - \${trip.ongoing ? 'now' : new Date(trip.endTime).toLocaleTimeString()}</strong><br>
+                        \${(trip.distanceMeters / 1000).toFixed(1)} km in \${formatDuration(trip.durationSeconds)},
+                        max \${trip.maxSpeed} / avg \${trip.avgSpeed} km/h, idle \${formatDuration(trip.idleSeconds)}\`;
+                    row.addEventListener('click', () => showTrip(imei, trip));
+                } else {
+                    const { stop } = entry;
+                    row.className = 'trip-row stop';
+                    row.innerHTML = \`Stopped \${formatDuration(stop.durationSeconds)} at \${stop.lat.toFixed(5)}, \${stop.lon.toFixed(5)}\`;
+                }
+                tripList.appendChild(row);
+            }
+        }
+
+        async function showTrip(imei, trip) {
+            tripLayer.clearLayers();
+            const response = await apiFetch(\`/api/trackers/\${encodeURIComponent(imei)}/history?from=\${trip.startTime}&to=\${trip.endTime}&limit=1000\`);
+            if (response.ok) {
+                const { positions } = await response.json();
+                L.polyline(positions.map(p => [p.lat, p.lon]), { color: '#1e88e5', weight: 4 }).addTo(tripLayer);
+            }
+            L.circleMarker([trip.start.lat, trip.start.lon], { color: '#43a047', radius: 7 }).bindPopup('Start ' + new Date(trip.startTime).toLocaleTimeString()).addTo(tripLayer);
+            L.circleMarker([trip.end.lat, trip.end.lon], { color: '#e53935', radius: 7 }).bindPopup('End ' + new Date(trip.endTime).toLocaleTimeString()).addTo(tripLayer);
+            map.fitBounds([[trip.start.lat, trip.start.lon], [trip.end.lat, trip.end.lon]], { padding: [40, 40], maxZoom: 15 });
+        }
+
+        function removeTracker(imei) {
+            const marker = trackerMarkers.get(imei);
+            if (marker) marker.remove();
+            trackerMarkers.delete(imei);
+            trackerState.delete(imei);
+            if (followedImei === imei) followedImei = null;
+            renderTrackerList();
+        }
+
+        function formatStatus(trackerData) {
+            const rows = [];
+            if (trackerData.status) rows.push(['Status', trackerData.status.replace('_', ' ')]);
+            if (trackerData.lastSeen) rows.push(['Last Seen', new Date(trackerData.lastSeen).toLocaleTimeString()]);
+            if (trackerData.gpsPositioned !== undefined) rows.push(['GPS', trackerData.gpsPositioned ? 'Fixed' : 'No fix']);
+            if (trackerData.acc !== undefined) rows.push(['ACC', trackerData.acc ? 'On' : 'Off']);
+            if (trackerData.charging !== undefined) rows.push(['Charging', trackerData.charging ? 'Yes' : 'No']);
+            if (trackerData.defenceArmed !== undefined) rows.push(['Defence', trackerData.defenceArmed ? 'Armed' : 'Disarmed']);
+            if (trackerData.oilElectricityCut) rows.push(['Oil/Electricity', 'Cut']);
+            if (trackerData.voltage) rows.push(['Battery', trackerData.voltage.replace('_', ' ')]);
+            if (trackerData.gsmSignalStrength) rows.push(['GSM', trackerData.gsmSignalStrength.replace('_', ' ')]);
+            return rows.map(([label, value]) => \`<p><strong>\${label}:</strong> \${escapeHtml(value)}</p>\`).join('');
+        }
+
+        // Latest record per IMEI, rendered into the sidebar list
+        const trackerState = new Map();
+
+        function updateTrackerList(data) {
+            (Array.isArray(data) ? data : [data]).forEach(tracker => trackerState.set(tracker.imei, tracker));
+            renderTrackerList();
+        }
+
+        function renderTrackerList() {
+            const trackerListDiv = document.getElementById('tracker-list');
+            if (trackerState.size === 0) {
+                trackerListDiv.innerHTML = '<p>Waiting for tracker data...</p>';
+                return;
+            }
+
+            trackerListDiv.innerHTML = ''; // Clear the list
+
+            for (const [imei, tracker] of trackerState.entries()) {
+                const infoDiv = document.createElement('div');
+                infoDiv.className = 'tracker-info';
+                infoDiv.dataset.imei = imei;
+
+                const following = imei === followedImei;
+                let content = \`<button class="follow-button\${following ? ' following' : ''}" data-imei="\${escapeHtml(imei)}">\${following ? 'Following' : 'Follow'}</button>\`;
+                content += \`<h3>\${escapeHtml(tracker.displayName || 'IMEI: ' + imei)}</h3>\`;
+                if (typeof tracker.lat === 'number' && typeof tracker.lon === 'number') {
+                    content += \`
+                        <p><strong>Lat:</strong> <span class="lat">\${tracker.lat.toFixed(5)}</span></p>
+                        <p><strong>Lon:</strong> <span class="lon">\${tracker.lon.toFixed(5)}</span></p>
+                        <p><strong>Last Update:</strong> \${new Date(tracker.lastUpdate).toLocaleTimeString()}</p>
+                    \`;
+                } else {
+                    content += '<p>Logged in, waiting for location data...</p>';
+                }
+
+                infoDiv.innerHTML = content;
+                trackerListDiv.appendChild(infoDiv);
+            }
+        }
+
+        // "Follow this vehicle": only the followed tracker pans the map; dragging the map stops following
+        document.getElementById('tracker-list').addEventListener('click', event => {
+            const button = event.target.closest('.follow-button');
+            if (!button) return;
+            followedImei = followedImei === button.dataset.imei ? null : button.dataset.imei;
+            renderTrackerList();
+            const marker = followedImei && trackerMarkers.get(followedImei);
+            if (marker) map.setView(marker.getLatLng(), Math.max(map.getZoom(), 15));
+        });
+        map.on('dragstart', () => {
+            if (!followedImei) return;
+            followedImei = null;
+            renderTrackerList();
+        });
+
+        // Playback: stored history for one tracker, trail colored by speed, animated marker
+        const PLAYBACK_PAGE_SIZE = 1000;
+        const PLAYBACK_MAX_POINTS = 50000;
+        const playbackLayer = L.layerGroup();
+        const playback = { positions: [], times: [], cursor: 0, playing: false, lastFrame: null, marker: null };
+        const playbackToggle = document.getElementById('playback-toggle');
+        const playbackScrubber = document.getElementById('playback-scrubber');
+        const playbackStatus = document.getElementById('playback-status');
+
+        function toLocalInputValue(date) {
+            const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+            return local.toISOString().slice(0, 16);
+        }
+
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        document.getElementById('playback-from').value = toLocalInputValue(startOfToday);
+        document.getElementById('playback-to').value = toLocalInputValue(new Date());
+
+        function setMode(mode) {
+            document.body.dataset.mode = mode;
+            document.getElementById('mode-live').classList.toggle('active', mode === 'live');
+            document.getElementById('mode-playback').classList.toggle('active', mode === 'playback');
+            if (mode === 'playback') {
+                map.removeLayer(liveLayer);
+                map.removeLayer(tripLayer);
+                playbackLayer.addTo(map);
+            } else {
+                pausePlayback();
+                map.removeLayer(playbackLayer);
+                liveLayer.addTo(map);
+                tripLayer.addTo(map);
+            }
+        }
+
+        document.getElementById('mode-live').addEventListener('click', () => setMode('live'));
+        document.getElementById('mode-playback').addEventListener('click', () => setMode('playback'));
+        document.getElementById('playback-load').addEventListener('click', loadPlayback);
+        playbackToggle.addEventListener('click', () => (playback.playing ? pausePlayback() : startPlayback()));
+        playbackScrubber.addEventListener('input', () => {
+            playback.cursor = Number(playbackScrubber.value);
+            renderPlaybackFrame();
+        });
+
+        function positionTime(position) {
+            return new Date(position.datetime || position.receivedTime).getTime();
+        }
+
+        function speedColor(speed) {
+            if (speed < 5) return '#9e9e9e';
+            if (speed < 30) return '#43a047';
+            if (speed < 60) return '#fdd835';
+            if (speed < 90) return '#fb8c00';
+            return '#e53935';
+        }
+
+        async function loadPlayback() {
+            const imei = document.getElementById('playback-tracker').value;
+            const from = new Date(document.getElementById('playback-from').value);
+            const to = new Date(document.getElementById('playback-to').value);
+            if (!imei || isNaN(from) || isNaN(to) || from >= to) {
+                playbackStatus.innerHTML = '<p>Pick a tracker and a valid time range.</p>';
+                return;
+            }
+
+            pausePlayback();
+            playbackLayer.clearLayers();
+            playbackStatus.innerHTML = '<p>Loading history...</p>';
+
+            // Page through the history API; it returns at most PLAYBACK_PAGE_SIZE positions per call
+            const positions = [];
+            let total = 0;
+            do {
+                const url = \`/api/trackers/\${encodeURIComponent(imei)}/history?from=\${from.toISOString()}&to=\${to.toISOString()}&limit=\${PLAYBACK_PAGE_SIZE}&offset=\${positions.length}\`;
+                const response = await apiFetch(url);
+                if (!response.ok) {
+                    playbackStatus.innerHTML = '<p>Could not load history.</p>';
+                    return;
+                }
+                const page = await response.json();
+                total = page.total;
+                positions.push(...page.positions);
+                if (page.positions.length === 0) break;
+            } while (positions.length < total && positions.length < PLAYBACK_MAX_POINTS);
+
+            playback.positions = positions
+                .filter(p => typeof p.lat === 'number' && typeof p.lon === 'number')
+                .sort((a, b) => positionTime(a) - positionTime(b));
+            playback.times = playback.positions.map(positionTime);
+
+            if (playback.positions.length < 2) {
+                playbackToggle.disabled = true;
+                playbackScrubber.disabled = true;
+                playbackStatus.innerHTML = '<p>Not enough stored positions in this range.</p>';
+                return;
+            }
+
+            drawSpeedTrail(playback.positions);
+            playback.marker = L.circleMarker([playback.positions[0].lat, playback.positions[0].lon], {
+                radius: 8, color: '#0d47a1', fillColor: '#1e88e5', fillOpacity: 1
+            }).addTo(playbackLayer);
+            map.fitBounds(L.latLngBounds(playback.positions.map(p => [p.lat, p.lon])), { padding: [30, 30] });
+
+            playbackScrubber.min = playback.times[0];
+            playbackScrubber.max = playback.times[playback.times.length - 1];
+            playback.cursor = playback.times[0];
+            playbackToggle.disabled = false;
+            playbackScrubber.disabled = false;
+            renderPlaybackFrame();
+            if (total > playback.positions.length) {
+                playbackStatus.insertAdjacentHTML('beforeend', \`<p>Showing the first \${playback.positions.length} of \${total} positions.</p>\`);
+            }
+        }
+
+        // Consecutive segments of the same speed band share one polyline
+        function drawSpeedTrail(positions) {
+            let color = speedColor(positions[1].speed || 0);
+            let run = [[positions[0].lat, positions[0].lon]];
+            for (let i = 1; i < positions.length; i++) {
+                const point = [positions[i].lat, positions[i].lon];
+                const segmentColor = speedColor(positions[i].speed || 0);
+                if (segmentColor !== color) {
+                    L.polyline(run, { color, weight: 5, opacity: 0.9 }).addTo(playbackLayer);
+                    run = [run[run.length - 1]];
+                    color = segmentColor;
+                }
+                run.push(point);
+            }
+            L.polyline(run, { color, weight: 5, opacity: 0.9 }).addTo(playbackLayer);
+        }
+
+        // Interpolated position at playback.cursor
+        function playbackPositionAt(time) {
+            const { positions, times } = playback;
+            let low = 0;
+            let high = times.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (times[mid] <= time) low = mid; else high = mid - 1;
+            }
+            const current = positions[low];
+            const next = positions[low + 1];
+            if (!next || times[low + 1] === times[low]) return current;
+            const ratio = Math.min(1, Math.max(0, (time - times[low]) / (times[low + 1] - times[low])));
+            return {
+                ...current,
+                lat: current.lat + (next.lat - current.lat) * ratio,
+                lon: current.lon + (next.lon - current.lon) * ratio
+            };
+        }
+
+        function renderPlaybackFrame() {
+            if (!playback.marker) return;
+            const position = playbackPositionAt(playback.cursor);
+            const latLng = [position.lat, position.lon];
+            playback.marker.setLatLng(latLng);
+            if (playback.playing && !map.getBounds().contains(latLng)) map.panTo(latLng);
+            playbackScrubber.value = playback.cursor;
+            playbackStatus.innerHTML = \`
+                <p><strong>Time:</strong> \${new Date(playback.cursor).toLocaleString()}</p>
+                <p><strong>Speed:</strong> \${position.speed ?? 0} km/h</p>
+                \${position.acc !== undefined ? \`<p><strong>ACC:</strong> \${position.acc ? 'On' : 'Off'}</p>\` : ''}
+            \`;
+        }
+
+        function startPlayback() {
+            if (playback.positions.length < 2) return;
+            if (playback.cursor >= playback.times[playback.times.length - 1]) playback.cursor = playback.times[0];
+            playback.playing = true;
+            playback.lastFrame = null;
+            playbackToggle.textContent = 'Pause';
+            requestAnimationFrame(playbackTick);
+        }
+
+        function pausePlayback() {
+            playback.playing = false;
+            playbackToggle.textContent = 'Play';
+        }
+
+        function playbackTick(now) {
+            if (!playback.playing) return;
+            if (playback.lastFrame !== null) {
+                const speed = Number(document.getElementById('playback-speed').value);
+                playback.cursor += (now - playback.lastFrame) * speed;
+            }
+            playback.lastFrame = now;
+            const end = playback.times[playback.times.length - 1];
+            if (playback.cursor >= end) {
+                playback.cursor = end;
+                pausePlayback();
+            }
+            renderPlaybackFrame();
+            if (playback.playing) requestAnimationFrame(playbackTick);
+        }
+    </script>
+</body>
+</html>
+    `;
+}
+
+module.exports = { getHtmlContent };
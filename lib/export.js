@@ -0,0 +1,134 @@
+/**
+ * History export
+ * * Renders stored fixes as GPX, KML, GeoJSON or CSV for /api/trackers/:imei/export.
+ */
+
+const EXPORT_MAX_POSITIONS = 100000; // Upper bound on fixes in one export
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function isoTime(value) {
+    return value ? new Date(value).toISOString() : '';
+}
+
+function exportGpx(imei, positions) {
+    const points = positions.map(p => `      <trkpt lat="${p.lat}" lon="${p.lon}">
+        <time>${isoTime(p.datetime || p.receivedTime)}</time>${p.satellites !== undefined ? `
+        <sat>${p.satellites}</sat>` : ''}
+        <extensions>
+          <gt:speed>${p.speed ?? ''}</gt:speed>
+          <gt:course>${p.course ?? ''}</gt:course>
+          <gt:receivedTime>${isoTime(p.receivedTime)}</gt:receivedTime>
+        </extensions>
+      </trkpt>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="gps-tracker-server" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gt="urn:gps-tracker-server:gpx:1">
+  <trk>
+    <name>${escapeXml(imei)}</name>
+    <trkseg>
+${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function exportKml(imei, positions) {
+    const coordinates = positions.map(p => `${p.lon},${p.lat},0`).join(' ');
+    const placemarks = positions.map(p => `      <Placemark>
+        <name>${escapeXml(isoTime(p.datetime || p.receivedTime))}</name>
+        <TimeStamp><when>${isoTime(p.datetime || p.receivedTime)}</when></TimeStamp>
+        <ExtendedData>
+          <Data name="speed"><value>${p.speed ?? ''}</value></Data>
+          <Data name="course"><value>${p.course ?? ''}</value></Data>
+          <Data name="satellites"><value>${p.satellites ?? ''}</value></Data>
+          <Data name="datetime"><value>${isoTime(p.datetime)}</value></Data>
+          <Data name="receivedTime"><value>${isoTime(p.receivedTime)}</value></Data>
+        </ExtendedData>
+        <Point><coordinates>${p.lon},${p.lat},0</coordinates></Point>
+      </Placemark>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(imei)}</name>
+    <Placemark>
+      <name>${escapeXml(imei)} track</name>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>
+    <Folder>
+      <name>Positions</name>
+${placemarks}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+function exportGeoJson(imei, positions) {
+    const properties = p => ({
+        imei,
+        speed: p.speed ?? null,
+        course: p.course ?? null,
+        satellites: p.satellites ?? null,
+        datetime: p.datetime ? isoTime(p.datetime) : null,
+        receivedTime: p.receivedTime ? isoTime(p.receivedTime) : null
+    });
+
+    const features = positions.map(p => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [p.lon, p.lat] },
+        properties: properties(p)
+    }));
+
+    if (positions.length > 1) {
+        features.unshift({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: positions.map(p => [p.lon, p.lat]) },
+            properties: {
+                imei,
+                start: isoTime(positions[0].datetime || positions[0].receivedTime),
+                end: isoTime(positions[positions.length - 1].datetime || positions[positions.length - 1].receivedTime)
+            }
+        });
+    }
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+const CSV_COLUMNS = ['imei', 'datetime', 'receivedTime', 'lat', 'lon', 'speed', 'course', 'satellites'];
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv(imei, positions) {
+    const rows = positions.map(p => CSV_COLUMNS.map(column => {
+        if (column === 'imei') return csvValue(imei);
+        if (column === 'datetime' || column === 'receivedTime') return csvValue(isoTime(p[column]));
+        return csvValue(p[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+const EXPORT_FORMATS = {
+    gpx: { contentType: 'application/gpx+xml', render: exportGpx },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', render: exportKml },
+    geojson: { contentType: 'application/geo+json', render: exportGeoJson },
+    csv: { contentType: 'text/csv', render: exportCsv }
+};
+
+module.exports = { EXPORT_MAX_POSITIONS, EXPORT_FORMATS };
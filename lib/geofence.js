@@ -0,0 +1,90 @@
+/**
+ * Geofence geometry and enter / exit / dwell detection
+ * * Pure helpers behind the tracking server's geofencing: whether a fence contains a point, and
+ * how one device's state against one fence moves on with each fix.
+ */
+
+// A state change must be seen on this many consecutive fixes before enter/exit fires
+const GEOFENCE_DEBOUNCE_FIXES = 2;
+const GEOFENCE_DEFAULT_DWELL_SECONDS = 300;
+
+const EARTH_RADIUS_M = 6371008.8;
+
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+// Ray casting; fine for fences far smaller than a hemisphere
+function pointInPolygon(lat, lon, coordinates) {
+    let inside = false;
+    for (let i = 0, j = coordinates.length - 1; i < coordinates.length; j = i++) {
+        const [latI, lonI] = coordinates[i];
+        const [latJ, lonJ] = coordinates[j];
+        if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function isInsideGeofence(geofence, lat, lon) {
+    if (geofence.type === 'circle') {
+        return haversineDistance(lat, lon, geofence.center.lat, geofence.center.lon) <= geofence.radius;
+    }
+    return pointInPolygon(lat, lon, geofence.coordinates);
+}
+
+function isValidLatLon(lat, lon) {
+    return typeof lat === 'number' && typeof lon === 'number' && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+// First fix seen for a device and fence: record where the device is without raising an event
+function createGeofenceState(inside, now) {
+    return { inside, pending: null, pendingCount: 0, enteredAt: inside ? now : null, dwellReported: false };
+}
+
+// Moves `state` on by one fix at `now` (ms). Returns the event the fix completes, as
+// { event: 'enter' | 'exit' | 'dwell', details }, or null.
+function advanceGeofenceState(state, geofence, inside, now) {
+    if (inside === state.inside) {
+        state.pending = null;
+        state.pendingCount = 0;
+        if (inside && !state.dwellReported && now - state.enteredAt >= geofence.dwellSeconds * 1000) {
+            state.dwellReported = true;
+            return { event: 'dwell', details: { dwellSeconds: Math.round((now - state.enteredAt) / 1000) } };
+        }
+        return null;
+    }
+
+    // Debounce: the new side must be confirmed by consecutive fixes
+    state.pendingCount = state.pending === inside ? state.pendingCount + 1 : 1;
+    state.pending = inside;
+    if (state.pendingCount < GEOFENCE_DEBOUNCE_FIXES) return null;
+
+    state.inside = inside;
+    state.pending = null;
+    state.pendingCount = 0;
+    if (inside) {
+        state.enteredAt = now;
+        state.dwellReported = false;
+        return { event: 'enter', details: {} };
+    }
+    const dwellSeconds = Math.round((now - state.enteredAt) / 1000);
+    state.enteredAt = null;
+    return { event: 'exit', details: { dwellSeconds } };
+}
+
+module.exports = {
+    GEOFENCE_DEBOUNCE_FIXES,
+    GEOFENCE_DEFAULT_DWELL_SECONDS,
+    haversineDistance,
+    pointInPolygon,
+    isInsideGeofence,
+    isValidLatLon,
+    createGeofenceState,
+    advanceGeofenceState
+};
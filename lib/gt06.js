@@ -0,0 +1,506 @@
+/**
+ * GT06 protocol codec
+ * * Frame extraction, CRC-ITU, packet parsing and ACK encoding for Concox GT06 family trackers.
+ * * Pure functions with no I/O or server state, usable on their own, e.g. to decode captured traffic:
+ *     const { extractGT06Frames, parseGT06Data } = require('./lib/gt06');
+ *     const { frames } = extractGT06Frames(Buffer.from(hex, 'hex'));
+ *     frames.map(parseGT06Data);
+ */
+
+// --- LOOKUP TABLES AND IMEI DECODING ---
+
+// Alarm codes carried in the alarm/language word of 0x16/0x26 packets
+const GT06_ALARM_TYPES = {
+    0x00: 'normal',
+    0x01: 'sos',
+    0x02: 'power_cut',
+    0x03: 'vibration',
+    0x04: 'enter_fence',
+    0x05: 'exit_fence',
+    0x06: 'overspeed',
+    0x09: 'displacement',
+    0x0A: 'enter_gps_blind_area',
+    0x0B: 'exit_gps_blind_area',
+    0x0C: 'power_on',
+    0x0D: 'gps_first_fix',
+    0x0E: 'low_external_battery',
+    0x0F: 'low_battery_protection',
+    0x10: 'sim_change',
+    0x11: 'power_off',
+    0x12: 'airplane_mode',
+    0x13: 'tamper',
+    0x14: 'door',
+    0x19: 'low_internal_battery',
+    0xFE: 'acc_on',
+    0xFF: 'acc_off'
+};
+
+// Alarm bits (5-3) of the terminal information byte
+const GT06_TERMINAL_ALARMS = {
+    0b000: 'normal',
+    0b001: 'shock',
+    0b010: 'power_cut',
+    0b011: 'low_battery',
+    0b100: 'sos'
+};
+
+const GT06_VOLTAGE_LEVELS = ['no_power', 'extremely_low', 'very_low', 'low', 'medium', 'high', 'very_high'];
+const GT06_GSM_SIGNAL_LEVELS = ['no_signal', 'extremely_weak', 'weak', 'good', 'strong'];
+
+function decodeImeiFromBcd(hex) {
+    let imei = '';
+    for (let i = 0; i < hex.length; i += 2) {
+        const byte = hex.substr(i, 2);
+        imei += byte[0];
+        if (byte[1].toLowerCase() !== 'f') imei += byte[1];
+    }
+    return imei.slice(0, 15);
+}
+// --- PARSER ---
+
+// Splits a stream buffer into complete GT06 frames.
+// Frames start with 0x7878 (1-byte length) or 0x7979 (2-byte length) and end with 0x0d0a.
+// Bytes that cannot start a valid frame are skipped until the next start bits, and an
+// incomplete trailing frame is returned as `rest` so the caller can wait for more data.
+// Start bits declaring a frame longer than `maxFrameLength` are treated as noise rather than
+// waited for, so a stray 0x7979ffff cannot hold back the frames behind it.
+function extractGT06Frames(buffer, maxFrameLength = Infinity) {
+    const frames = [];
+    let offset = 0;
+    let discarded = 0;
+
+    while (offset < buffer.length) {
+        const start = findFrameStart(buffer, offset);
+        if (start === -1) {
+            // Keep a trailing 0x78/0x79 byte, it may be the first half of the start bits
+            const last = buffer[buffer.length - 1];
+            const keep = last === 0x78 || last === 0x79 ? 1 : 0;
+            discarded += buffer.length - offset - keep;
+            offset = buffer.length - keep;
+            break;
+        }
+        discarded += start - offset;
+        offset = start;
+
+        const isLong = buffer[offset] === 0x79;
+        const headerLength = isLong ? 4 : 3;
+        if (buffer.length - offset < headerLength) break; // Wait for the length field
+
+        // Length counts protocol number, information content, serial number and error check
+        const dataLength = isLong ? buffer.readUInt16BE(offset + 2) : buffer.readUInt8(offset + 2);
+        const frameLength = headerLength + dataLength + 2;
+        if (frameLength > maxFrameLength) {
+            // No real frame is that long: false sync, move on by one byte
+            discarded += 1;
+            offset += 1;
+            continue;
+        }
+        if (buffer.length - offset < frameLength) break; // Wait for the rest of the frame
+
+        if (buffer[offset + frameLength - 2] !== 0x0d || buffer[offset + frameLength - 1] !== 0x0a) {
+            // Start bits without matching stop bits: false sync, move on by one byte
+            discarded += 1;
+            offset += 1;
+            continue;
+        }
+
+        frames.push(buffer.slice(offset, offset + frameLength));
+        offset += frameLength;
+    }
+
+    return { frames, rest: buffer.slice(offset), discarded };
+}
+
+function findFrameStart(buffer, from) {
+    for (let i = from; i < buffer.length - 1; i++) {
+        if ((buffer[i] === 0x78 && buffer[i + 1] === 0x78) || (buffer[i] === 0x79 && buffer[i + 1] === 0x79)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// CRC-ITU (CRC-16/X.25): reflected poly 0x1021 (0x8408), init 0xFFFF, final XOR 0xFFFF
+const CRC_ITU_TABLE = (() => {
+    const table = new Uint16Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+        }
+        table[i] = crc;
+    }
+    return table;
+})();
+
+function crcItu(buffer) {
+    let crc = 0xFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = (crc >>> 8) ^ CRC_ITU_TABLE[(crc ^ buffer[i]) & 0xFF];
+    }
+    return (crc ^ 0xFFFF) & 0xFFFF;
+}
+
+// Builds a framed server response. The error check covers everything from the
+// length field up to and including the serial number.
+function buildGT06Response(protocolNumber, serial, content = Buffer.alloc(0)) {
+    const body = Buffer.alloc(1 + content.length + 2);
+    body.writeUInt8(protocolNumber, 0);
+    content.copy(body, 1);
+    body.writeUInt16BE(serial & 0xFFFF, 1 + content.length);
+
+    const dataLength = body.length + 2; // + error check
+    const header = Buffer.from([0x78, 0x78, dataLength]);
+
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16BE(crcItu(Buffer.concat([header.slice(2), body])));
+
+    return Buffer.concat([header, body, crc, Buffer.from([0x0d, 0x0a])]);
+}
+
+// Smallest information content (bytes between protocol number and serial) each packet type
+// needs before any field is read. Shorter frames are reported as 'invalid', even with a valid CRC.
+const GT06_MIN_CONTENT_LENGTH = {
+    0x01: 8, // BCD IMEI
+    0x12: 18, // GPS block; the LBS block is optional
+    0x13: 1, // Terminal info; the rest of the status block is optional
+    0x15: 5, // Command length + server flag
+    0x16: 19, // GPS block + LBS length byte
+    0x18: 9, // Datetime + MCC + MNC
+    0x21: 5, // Server flag + encoding
+    0x22: 18,
+    0x26: 19,
+    0x28: 9,
+    0x94: 1 // Subtype
+};
+
+function parseGT06Data(buffer) {
+    if (buffer.length < 5) return null;
+
+    // 0x7878 frames carry a 1-byte length, 0x7979 (long) frames a 2-byte length
+    const startBits = buffer.readUInt16BE(0);
+    if (startBits !== 0x7878 && startBits !== 0x7979) return null; // Not a GT06 packet start
+
+    const isLong = startBits === 0x7979;
+    const packetLength = isLong ? buffer.readUInt16BE(2) : buffer.readUInt8(2);
+    const dataStart = isLong ? 5 : 4; // Information content follows the protocol number
+    const protocolNumber = buffer.readUInt8(dataStart - 1);
+    const frameLength = packetLength + dataStart + 1; // total length including start bits, length field and stop bits
+    if (buffer.length < frameLength) return null;
+
+    // Protocol number, serial and CRC are always present; anything shorter cannot be read safely
+    if (packetLength < 5) {
+        return { type: 'invalid', protocol: protocolNumber, raw: buffer.toString('hex'), reason: 'length field too small' };
+    }
+
+    const packet = {
+        length: frameLength,
+        protocol: protocolNumber,
+        longPacket: isLong,
+        serial: buffer.readUInt16BE(frameLength - 6) // Information serial number, echoed in responses
+    };
+    const contentEnd = frameLength - 6; // Information content ends where the serial number starts
+
+    // Error check covers packet length through serial number
+    const expectedCrc = buffer.readUInt16BE(frameLength - 4);
+    const actualCrc = crcItu(buffer.slice(2, frameLength - 4));
+    if (expectedCrc !== actualCrc) {
+        packet.type = 'crc_error';
+        packet.expectedCrc = expectedCrc;
+        packet.actualCrc = actualCrc;
+        return packet;
+    }
+
+    if (contentEnd - dataStart < (GT06_MIN_CONTENT_LENGTH[protocolNumber] || 0)) {
+        return {
+            ...packet,
+            type: 'invalid',
+            raw: buffer.slice(0, frameLength).toString('hex'),
+            reason: `content too short for protocol 0x${protocolNumber.toString(16).padStart(2, '0')}`
+        };
+    }
+
+    switch (protocolNumber) {
+        case 0x01: // Login Packet
+            packet.type = 'login';
+            const hexData = buffer.toString('hex');
+            const imeiHex = hexData.slice(dataStart * 2 + 1, dataStart * 2 + 17);
+            //const imei = BigInt("0x" + imeiHex).toString();
+            packet.imei = decodeImeiFromBcd(imeiHex);
+            return packet;
+
+        case 0x12: // Location Data Packet
+            packet.type = 'location';
+            Object.assign(packet, parseGpsBlock(buffer, dataStart));
+            Object.assign(packet, parseLbsBlock(buffer, dataStart + 18, contentEnd));
+            return packet;
+
+        case 0x22: // GPS + LBS Location Packet (GT06N/Concox)
+            packet.type = 'location';
+            Object.assign(packet, parseGpsBlock(buffer, dataStart));
+            Object.assign(packet, parseLbsBlock(buffer, dataStart + 18, contentEnd));
+            // ACC, data upload mode and re-upload flag follow the LBS block
+            if (contentEnd >= dataStart + 29) {
+                packet.acc = buffer.readUInt8(dataStart + 26) === 1;
+                packet.uploadMode = buffer.readUInt8(dataStart + 27);
+                packet.reupload = buffer.readUInt8(dataStart + 28) === 1;
+            }
+            if (contentEnd >= dataStart + 33) {
+                packet.mileage = buffer.readUInt32BE(dataStart + 29);
+            }
+            return packet;
+
+        case 0x13: // Heartbeat (Status) Packet
+            packet.type = 'heartbeat';
+            Object.assign(packet, parseStatusBlock(buffer, dataStart, contentEnd));
+            return packet;
+
+        case 0x16: // Alarm Packet (GPS + LBS + status)
+        case 0x26: // Alarm Packet, multi-fence variant
+            packet.type = 'alarm';
+            Object.assign(packet, parseGpsBlock(buffer, dataStart));
+            // LBS block is prefixed with its own length byte
+            const lbsLength = buffer.readUInt8(dataStart + 18);
+            Object.assign(packet, parseLbsBlock(buffer, dataStart + 19, contentEnd));
+            Object.assign(packet, parseStatusBlock(buffer, dataStart + 18 + lbsLength, contentEnd));
+            packet.alarmType = GT06_ALARM_TYPES[packet.alarmCode] || 'unknown';
+            return packet;
+
+        case 0x18: // LBS Extension Packet
+        case 0x28: // LBS Multiple Base Station Packet
+            packet.type = 'lbs';
+            packet.datetime = parseDatetime(buffer.slice(dataStart, dataStart + 6));
+            packet.mcc = buffer.readUInt16BE(dataStart + 6);
+            packet.mnc = buffer.readUInt8(dataStart + 8);
+            // Serving cell followed by up to six neighbour cells: LAC (2), Cell ID (3), RSSI (1)
+            packet.cells = [];
+            for (let offset = dataStart + 9; offset + 6 <= contentEnd && packet.cells.length < 7; offset += 6) {
+                const cell = {
+                    lac: buffer.readUInt16BE(offset),
+                    cellId: buffer.readUIntBE(offset + 2, 3),
+                    rssi: buffer.readUInt8(offset + 5)
+                };
+                if (cell.lac !== 0 || cell.cellId !== 0) packet.cells.push(cell);
+            }
+            if (packet.cells.length > 0) {
+                packet.lac = packet.cells[0].lac;
+                packet.cellId = packet.cells[0].cellId;
+            }
+            return packet;
+
+        case 0x15: // String Information Packet (reply to a server command)
+            packet.type = 'string_info';
+            const commandLength = buffer.readUInt8(dataStart); // Server flag (4) + command content
+            packet.serverFlag = buffer.readUInt32BE(dataStart + 1);
+            packet.content = buffer.slice(dataStart + 5, Math.min(dataStart + 1 + commandLength, contentEnd)).toString('ascii');
+            return packet;
+
+        case 0x21: // Command Response Packet (newer firmware)
+            packet.type = 'string_info';
+            packet.serverFlag = buffer.readUInt32BE(dataStart);
+            packet.encoding = buffer.readUInt8(dataStart + 4); // 1 = ASCII, 2 = UTF-16BE
+            if (packet.encoding === 2) {
+                // Copy before swapping, the slice shares memory with the frame; a stray odd byte is dropped
+                const text = Buffer.from(buffer.slice(dataStart + 5, contentEnd));
+                packet.content = text.slice(0, text.length - (text.length % 2)).swap16().toString('utf16le');
+            } else {
+                packet.content = buffer.slice(dataStart + 5, contentEnd).toString('ascii');
+            }
+            return packet;
+
+        case 0x94: // Information Transmission Packet (0x7979 framing)
+            packet.type = 'information';
+            packet.subtype = buffer.readUInt8(dataStart);
+            Object.assign(packet, parseInformationContent(packet.subtype, buffer.slice(dataStart + 1, contentEnd)));
+            return packet;
+
+        default:
+            packet.type = 'unknown';
+            packet.protocol = protocolNumber;
+            return packet;
+    }
+}
+
+// Information transmission (0x94) subtypes
+const GT06_INFO_SUBTYPES = {
+    0x00: 'external_voltage',
+    0x04: 'terminal_status',
+    0x05: 'door_status',
+    0x0A: 'iccid'
+};
+
+function parseInformationContent(subtype, content) {
+    const info = { infoType: GT06_INFO_SUBTYPES[subtype] || 'unknown' };
+
+    switch (subtype) {
+        case 0x00: // External power voltage in 0.01 V
+            if (content.length >= 2) info.externalVoltage = content.readUInt16BE(0) / 100;
+            break;
+
+        case 0x04: // Terminal status synchronization, e.g. "ALM1=C4;STA1=CO;DYD=01;SOS=...;"
+            info.terminalStatus = content.toString('ascii');
+            break;
+
+        case 0x05: // Door status: bit 0 door open, bit 1 trigger level high, bit 2 I/O high
+            if (content.length >= 1) {
+                info.doorOpen = (content[0] & 0x01) !== 0;
+                info.doorTriggerHigh = (content[0] & 0x02) !== 0;
+                info.doorIoHigh = (content[0] & 0x04) !== 0;
+            }
+            break;
+
+        case 0x0A: // IMEI (8), IMSI (8), ICCID (10), all BCD
+            if (content.length >= 26) {
+                info.imsi = content.slice(8, 16).toString('hex').replace(/^0/, '');
+                info.iccid = content.slice(16, 26).toString('hex');
+            }
+            break;
+
+        default:
+            info.rawContent = content.toString('hex');
+    }
+
+    return info;
+}
+
+// GPS block shared by location and alarm packets: datetime (6), GPS info (1),
+// latitude (4), longitude (4), speed (1), course/status (2)
+function parseGpsBlock(buffer, offset) {
+    const gps = {};
+    gps.datetime = parseDatetime(buffer.slice(offset, offset + 6));
+    const gpsInfo = buffer.readUInt8(offset + 6);
+    // gpsInfo: bit 7-4 is length of GPS information, bit 3-0 is number of satellites
+    gps.satellites = gpsInfo & 0x0F;
+
+    const courseStatus = buffer.readUInt16BE(offset + 16);
+    // courseStatus: bit 13 real-time/differential, bit 12 positioned, bit 11 West, bit 10 North, bit 9-0 course
+    gps.realtimeGps = (courseStatus & 0x2000) !== 0;
+    gps.gpsPositioned = (courseStatus & 0x1000) !== 0;
+    gps.lonHemisphere = (courseStatus & 0x0800) !== 0 ? 'W' : 'E';
+    gps.latHemisphere = (courseStatus & 0x0400) !== 0 ? 'N' : 'S';
+    gps.course = courseStatus & 0x03FF;
+
+    // Latitude and longitude are unsigned magnitudes in 1/30000 minute; sign comes from the hemisphere bits
+    const lat = buffer.readUInt32BE(offset + 7) / 1800000.0;
+    gps.lat = gps.latHemisphere === 'S' ? -lat : lat;
+
+    const lon = buffer.readUInt32BE(offset + 11) / 1800000.0;
+    gps.lon = gps.lonHemisphere === 'W' ? -lon : lon;
+
+    gps.speed = buffer.readUInt8(offset + 15);
+
+    return gps;
+}
+
+// Status block shared by heartbeat and alarm packets: terminal info (1), voltage level (1),
+// GSM signal strength (1), alarm (1), language (1)
+function parseStatusBlock(buffer, offset, end) {
+    if (offset + 1 > end) return {};
+
+    const status = {
+        terminalInfo: buffer.readUInt8(offset),
+        ...decodeTerminalInfo(buffer.readUInt8(offset))
+    };
+    if (offset + 2 <= end) {
+        status.voltageLevel = buffer.readUInt8(offset + 1);
+        status.voltage = GT06_VOLTAGE_LEVELS[status.voltageLevel] || 'unknown';
+    }
+    if (offset + 3 <= end) {
+        status.gsmSignal = buffer.readUInt8(offset + 2);
+        status.gsmSignalStrength = GT06_GSM_SIGNAL_LEVELS[status.gsmSignal] || 'unknown';
+    }
+    if (offset + 5 <= end) {
+        status.alarmCode = buffer.readUInt8(offset + 3);
+        status.language = buffer.readUInt8(offset + 4) === 0x01 ? 'chinese' : 'english';
+    }
+    return status;
+}
+
+// Terminal information byte: bit 7 oil/electricity cut, bit 6 GPS tracking on, bit 5-3 alarm,
+// bit 2 charging, bit 1 ACC high, bit 0 defence armed
+function decodeTerminalInfo(terminalInfo) {
+    return {
+        oilElectricityCut: (terminalInfo & 0x80) !== 0,
+        gpsTracking: (terminalInfo & 0x40) !== 0,
+        terminalAlarm: GT06_TERMINAL_ALARMS[(terminalInfo >> 3) & 0x07] || 'unknown',
+        charging: (terminalInfo & 0x04) !== 0,
+        acc: (terminalInfo & 0x02) !== 0,
+        defenceArmed: (terminalInfo & 0x01) !== 0
+    };
+}
+
+// LBS block: MCC (2), MNC (1), LAC (2), Cell ID (3)
+function parseLbsBlock(buffer, offset, end) {
+    if (offset + 8 > end) return {};
+    return {
+        mcc: buffer.readUInt16BE(offset),
+        mnc: buffer.readUInt8(offset + 2),
+        lac: buffer.readUInt16BE(offset + 3),
+        cellId: buffer.readUIntBE(offset + 5, 3)
+    };
+}
+
+function parseDatetime(buffer) {
+    if (buffer.length < 6) return null;
+    const year = 2000 + buffer.readUInt8(0);
+    const month = buffer.readUInt8(1);
+    const day = buffer.readUInt8(2);
+    const hours = buffer.readUInt8(3);
+    const minutes = buffer.readUInt8(4);
+    const seconds = buffer.readUInt8(5);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+// --- PROTOCOL ADAPTER ---
+// See lib/protocols.js for the adapter contract
+
+const gt06Adapter = {
+    name: 'gt06',
+
+    detect(buffer) {
+        return findFrameStart(buffer, 0) !== -1;
+    },
+
+    decode(buffer, { maxFrameLength } = {}) {
+        const { frames, rest, discarded } = extractGT06Frames(buffer, maxFrameLength);
+        // A frame that fails to parse is reported and skipped; its bytes are consumed either way
+        const packets = frames.map(frame => {
+            try {
+                return parseGT06Data(frame) || { type: 'invalid', raw: frame.toString('hex') };
+            } catch (err) {
+                return { type: 'invalid', raw: frame.toString('hex'), error: err.message };
+            }
+        });
+        return { packets, rest, discarded };
+    },
+
+    encodeAck(packet) {
+        switch (packet.type) {
+            case 'login':
+            case 'heartbeat':
+            case 'alarm': // Alarms must be acknowledged with the same protocol number, otherwise the device keeps resending
+                return buildGT06Response(packet.protocol, packet.serial);
+            default:
+                return null;
+        }
+    }
+};
+
+module.exports = {
+    GT06_ALARM_TYPES,
+    GT06_TERMINAL_ALARMS,
+    GT06_VOLTAGE_LEVELS,
+    GT06_GSM_SIGNAL_LEVELS,
+    GT06_INFO_SUBTYPES,
+    GT06_MIN_CONTENT_LENGTH,
+    decodeImeiFromBcd,
+    extractGT06Frames,
+    crcItu,
+    buildGT06Response,
+    parseGT06Data,
+    parseGpsBlock,
+    parseStatusBlock,
+    parseLbsBlock,
+    parseDatetime,
+    gt06Adapter
+};
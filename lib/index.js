@@ -0,0 +1,30 @@
+/**
+ * Public API
+ * * createTrackingServer() for embedding, the GT06 codec, configuration helpers and the
+ * building blocks an embedder may want to swap (storage backends, logger).
+ */
+const { createTrackingServer } = require('./tracking-server');
+const { CONFIG_SCHEMA, loadConfig, resolveConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { MemoryPositionStore, JsonlPositionStore, createStorage } = require('./storage');
+const { PROTOCOL_ADAPTERS, detectProtocol } = require('./protocols');
+const gt06 = require('./gt06');
+
+module.exports = {
+    createTrackingServer,
+    CONFIG_SCHEMA,
+    loadConfig,
+    resolveConfig,
+    createLogger,
+    MemoryPositionStore,
+    JsonlPositionStore,
+    createStorage,
+    PROTOCOL_ADAPTERS,
+    detectProtocol,
+    gt06,
+    parseGT06Data: gt06.parseGT06Data,
+    decodeImeiFromBcd: gt06.decodeImeiFromBcd,
+    parseDatetime: gt06.parseDatetime,
+    extractGT06Frames: gt06.extractGT06Frames,
+    buildGT06Response: gt06.buildGT06Response
+};
@@ -0,0 +1,71 @@
+/**
+ * Logging
+ * * Console logger used when no logger is injected into createTrackingServer().
+ * * A replacement only needs error/warn/info/debug(component, message, metadata).
+ */
+
+const LOG_LEVELS = {
+    ERROR: 0,
+    WARN: 1,
+    INFO: 2,
+    DEBUG: 3
+};
+
+// Level, format and timezone are read from `config` on every call, so reloads apply immediately
+function createLogger(config) {
+    const log = (level, component, message, metadata = {}) => {
+        if (LOG_LEVELS[level] > LOG_LEVELS[config.logLevel.toUpperCase()]) return;
+
+        const timestamp = formatDisplayTime(new Date(), config.timezone);
+        const logEntry = {
+            timestamp,
+            level,
+            component,
+            message,
+            ...metadata
+        };
+
+        if (config.logFormat === 'json') {
+            console.log(JSON.stringify(logEntry));
+        } else {
+            const metaStr = Object.keys(metadata).length > 0 ? ` ${JSON.stringify(metadata)}` : '';
+            console.log(`[${timestamp}] [${level}] [${component}] ${message}${metaStr}`);
+        }
+    };
+
+    return {
+        log,
+        error: (component, message, metadata) => log('ERROR', component, message, metadata),
+        warn: (component, message, metadata) => log('WARN', component, message, metadata),
+        info: (component, message, metadata) => log('INFO', component, message, metadata),
+        debug: (component, message, metadata) => log('DEBUG', component, message, metadata)
+    };
+}
+
+// Helper function to format time in the display timezone (5:30:33 PM JUN-19)
+const displayTimeFormats = new Map(); // Key: timezone, Value: Intl.DateTimeFormat
+
+function formatDisplayTime(date, timezone) {
+    if (!date || isNaN(date.getTime())) return 'N/A';
+
+    if (!displayTimeFormats.has(timezone)) {
+        displayTimeFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            month: 'short',
+            day: '2-digit',
+            hour: 'numeric',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: true
+        }));
+    }
+
+    const parts = {};
+    for (const { type, value } of displayTimeFormats.get(timezone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return `${parts.hour}:${parts.minute}:${parts.second} ${parts.dayPeriod.toUpperCase()} ${parts.month.toUpperCase()}-${parts.day}`;
+}
+
+module.exports = { LOG_LEVELS, createLogger, formatDisplayTime };
@@ -0,0 +1,88 @@
+/**
+ * Metrics registry
+ * * Counters and histograms in the Prometheus text exposition format, served by the tracking
+ * server on GET /metrics.
+ */
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+class MetricsRegistry {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.counters = new Map(); // Key: metric name, Value: { help, values: Map<labelKey, { labels, value }> }
+        this.histograms = new Map(); // Key: metric name, Value: { help, buckets, values: Map<labelKey, { labels, counts, sum, count }> }
+    }
+
+    defineCounter(name, help) {
+        this.counters.set(name, { help, values: new Map() });
+    }
+
+    defineHistogram(name, help, buckets) {
+        this.histograms.set(name, { help, buckets, values: new Map() });
+    }
+
+    incrementCounter(name, labels = {}, amount = 1) {
+        const { values } = this.counters.get(name);
+        const key = labelKey(labels);
+        if (!values.has(key)) values.set(key, { labels, value: 0 });
+        values.get(key).value += amount;
+    }
+
+    observeHistogram(name, labels, value) {
+        if (!Number.isFinite(value) || value < 0) return;
+        const histogram = this.histograms.get(name);
+        const key = labelKey(labels);
+        if (!histogram.values.has(key)) {
+            histogram.values.set(key, { labels, counts: new Array(histogram.buckets.length).fill(0), sum: 0, count: 0 });
+        }
+        const series = histogram.values.get(key);
+        histogram.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Renders every metric. `writeGauges(metric, sample)` adds the gauges read from live state
+    // at scrape time: metric(name, type, help) starts one, sample(name, labels, value) adds a value.
+    render(writeGauges = () => {}) {
+        const lines = [];
+        const metric = (name, type, help) => {
+            lines.push(`# HELP ${this.prefix}_${name} ${help}`, `# TYPE ${this.prefix}_${name} ${type}`);
+        };
+        const sample = (name, labels, value) => lines.push(`${this.prefix}_${name}${formatLabels(labels)} ${value}`);
+
+        writeGauges(metric, sample);
+
+        for (const [name, { help, values }] of this.counters.entries()) {
+            metric(name, 'counter', help);
+            for (const { labels, value } of values.values()) sample(name, labels, value);
+        }
+
+        for (const [name, { help, buckets, values }] of this.histograms.entries()) {
+            metric(name, 'histogram', help);
+            for (const { labels, counts, sum, count } of values.values()) {
+                buckets.forEach((bound, i) => sample(`${name}_bucket`, { ...labels, le: bound }, counts[i]));
+                sample(`${name}_bucket`, { ...labels, le: '+Inf' }, count);
+                sample(`${name}_sum`, labels, Math.round(sum * 1000) / 1000);
+                sample(`${name}_count`, labels, count);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    formatLabels
+};
@@ -0,0 +1,142 @@
+/**
+ * MQTT publisher
+ * * Pushes tracker events to a broker for MQTT_URL; see "Outbound integrations" in
+ * lib/tracking-server.js for the topics.
+ */
+const net = require('net');
+const crypto = require('crypto');
+
+const MQTT_KEEPALIVE_SECONDS = 60;
+const MQTT_RECONNECT_MAX_MS = 60000;
+
+// Minimal MQTT 3.1.1 client: CONNECT, QoS 0 PUBLISH, PINGREQ and reconnect with backoff.
+// Messages published while disconnected are dropped (QoS 0 semantics).
+class MqttPublisher {
+    constructor(url, logger) {
+        this.url = url ? new URL(url) : null;
+        this.logger = logger;
+        this.socket = null;
+        this.connected = false;
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+        this.stopped = false;
+        this.published = 0;
+        this.dropped = 0;
+    }
+
+    start() {
+        this.stopped = false; // Set by stop(); cleared so a restarted server reconnects
+        this.reconnectDelay = 1000;
+        if (!this.url) return;
+        if (this.url.protocol !== 'mqtt:') {
+            this.logger.error('MQTT', 'Only mqtt:// URLs are supported', { url: this.url.origin });
+            return;
+        }
+        this.connect();
+    }
+
+    connect() {
+        const port = parseInt(this.url.port, 10) || 1883;
+        const host = this.url.hostname;
+        this.socket = net.connect(port, host);
+        this.socket.on('connect', () => this.socket.write(this.buildConnect()));
+        this.socket.on('data', data => this.handleData(data));
+        this.socket.on('error', err => this.logger.warn('MQTT', 'Connection error', { host, port, error: err.message }));
+        this.socket.on('close', () => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            clearInterval(this.pingTimer);
+            if (wasConnected) this.logger.warn('MQTT', 'Disconnected from broker', { host, port });
+            if (this.stopped) return;
+            this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+            this.reconnectTimer.unref();
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, MQTT_RECONNECT_MAX_MS);
+        });
+    }
+
+    handleData(data) {
+        const packetType = data[0] >> 4;
+        if (packetType === 2) { // CONNACK
+            const returnCode = data[3];
+            if (returnCode !== 0) {
+                this.logger.error('MQTT', 'Broker refused connection', { returnCode });
+                this.socket.destroy();
+                return;
+            }
+            this.connected = true;
+            this.reconnectDelay = 1000;
+            this.pingTimer = setInterval(() => this.socket.write(Buffer.from([0xC0, 0x00])), MQTT_KEEPALIVE_SECONDS * 500);
+            this.pingTimer.unref();
+            this.logger.info('MQTT', 'Connected to broker', { host: this.url.hostname, port: this.url.port || 1883 });
+        }
+        // PINGRESP (13) needs no handling
+    }
+
+    buildConnect() {
+        const clientId = `gps-tracker-${crypto.randomBytes(4).toString('hex')}`;
+        const username = decodeURIComponent(this.url.username);
+        const password = decodeURIComponent(this.url.password);
+        let flags = 0x02; // Clean session
+        const payload = [mqttString(clientId)];
+        if (username) {
+            flags |= 0x80;
+            payload.push(mqttString(username));
+        }
+        if (password) {
+            flags |= 0x40;
+            payload.push(mqttString(password));
+        }
+        const variableHeader = Buffer.concat([
+            mqttString('MQTT'),
+            Buffer.from([0x04, flags, MQTT_KEEPALIVE_SECONDS >> 8, MQTT_KEEPALIVE_SECONDS & 0xFF])
+        ]);
+        return mqttPacket(0x10, Buffer.concat([variableHeader, ...payload]));
+    }
+
+    publish(topic, message) {
+        if (!this.url) return;
+        if (!this.connected) {
+            this.dropped++;
+            return;
+        }
+        this.socket.write(mqttPacket(0x30, Buffer.concat([mqttString(topic), Buffer.from(message)])));
+        this.published++;
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.pingTimer);
+        if (this.socket) {
+            if (this.connected) this.socket.write(Buffer.from([0xE0, 0x00])); // DISCONNECT
+            this.socket.end();
+        }
+    }
+}
+
+function mqttString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    return Buffer.concat([length, bytes]);
+}
+
+// Fixed header with the variable-length "remaining length" encoding
+function mqttPacket(header, body) {
+    const lengthBytes = [];
+    let remaining = body.length;
+    do {
+        let byte = remaining % 128;
+        remaining = Math.floor(remaining / 128);
+        if (remaining > 0) byte |= 0x80;
+        lengthBytes.push(byte);
+    } while (remaining > 0);
+    return Buffer.concat([Buffer.from([header, ...lengthBytes]), body]);
+}
+
+module.exports = {
+    MqttPublisher,
+    mqttString,
+    mqttPacket
+};
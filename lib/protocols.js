@@ -0,0 +1,464 @@
+/**
+ * Device protocol adapters
+ * * GT06 (lib/gt06.js), H02, TK103 (Coban) and Teltonika Codec 8, plus auto-detection from the
+ * first bytes of a connection.
+ */
+const { gt06Adapter } = require('./gt06');
+
+// Each adapter turns a connection's byte stream into normalized packets for the tracking server:
+//   name               protocol identifier used in TCP_LISTENERS
+//   detect(buffer)     true if the first bytes of a connection look like this protocol
+//   decode(buffer, { maxFrameLength })
+//                      { packets, rest, discarded }, keeping an incomplete trailing frame in `rest`;
+//                      a frame that would exceed maxFrameLength is skipped as noise, never waited for
+//   encodeAck(packet)  Buffer to write back to the device, or null
+//
+// Packets share the GT06 shape: type is login, location, heartbeat, alarm, lbs, string_info,
+// information, crc_error, invalid or unknown; positions carry lat/lon in signed degrees,
+// speed in km/h and datetime as a Date (UTC).
+//
+// The GT06 adapter lives with its codec in lib/gt06.js.
+
+// Device identifiers as sent by every supported protocol; anything else is rejected as 'invalid'
+// before it can reach the registry, logs or dashboard
+const IMEI_PATTERN = /^\d{15,17}$/;
+
+// Runs one message/frame parser; anything it throws on becomes an 'invalid' packet so the
+// caller still consumes the bytes and the connection keeps going
+function parseOrInvalid(parse, input, raw) {
+    try {
+        return parse(input);
+    } catch (err) {
+        return { type: 'invalid', raw, error: err.message };
+    }
+}
+
+// Splits a text stream into messages ending with `terminator`, skipping anything before `start`
+function extractTextFrames(buffer, start, terminator, maxFrameLength = Infinity) {
+    const text = buffer.toString('latin1');
+    const messages = [];
+    let offset = 0;
+    let discarded = 0;
+
+    while (offset < text.length) {
+        const begin = text.indexOf(start, offset);
+        if (begin === -1) {
+            discarded += text.length - offset;
+            offset = text.length;
+            break;
+        }
+        discarded += begin - offset;
+
+        const end = text.indexOf(terminator, begin + start.length);
+        const boundary = end === -1 ? text.length : end;
+        if (boundary - begin > maxFrameLength) {
+            // Too far from the next terminator to be one message: every start more than
+            // maxFrameLength bytes before it is noise
+            const next = Math.max(begin + start.length, boundary - maxFrameLength);
+            discarded += next - begin;
+            offset = next;
+            continue;
+        }
+        if (end === -1) {
+            offset = begin;
+            break; // Wait for the rest of the message
+        }
+
+        messages.push(text.slice(begin, end));
+        offset = end + terminator.length;
+    }
+
+    return { messages, rest: buffer.slice(offset), discarded };
+}
+
+// NMEA-style ddmm.mmmm / dddmm.mmmm with hemisphere letter to signed degrees
+function parseNmeaCoordinate(value, hemisphere) {
+    const raw = parseFloat(value);
+    if (isNaN(raw)) return null;
+    const degrees = Math.floor(raw / 100);
+    const decimal = degrees + (raw - degrees * 100) / 60;
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+const KNOTS_TO_KMH = 1.852;
+const H02_MAX_CELLS = 7; // Serving cell plus neighbours, as in GT06 LBS blocks
+
+// H02 text protocol: *HQ,<imei>,<command>,<fields...>#
+const h02Adapter = {
+    name: 'h02',
+
+    detect(buffer) {
+        return buffer.toString('latin1', 0, 4) === '*HQ,';
+    },
+
+    decode(buffer, { maxFrameLength } = {}) {
+        const { messages, rest, discarded } = extractTextFrames(buffer, '*', '#', maxFrameLength);
+        return { packets: messages.map(message => parseOrInvalid(parseH02Message, message, message)), rest, discarded };
+    },
+
+    encodeAck() {
+        return null; // H02 devices do not expect replies to position reports
+    }
+};
+
+function parseH02Message(message) {
+    const fields = message.slice(1).split(',');
+    if (fields[0] !== 'HQ' || fields.length < 3 || !IMEI_PATTERN.test(fields[1])) return { type: 'invalid', raw: message };
+
+    const packet = { imei: fields[1], command: fields[2], protocol: fields[2] };
+
+    switch (fields[2]) {
+        case 'V1': // Position: time, validity, lat, N/S, lon, E/W, speed (knots), course, date, status
+        case 'V19': {
+            const [time, validity, lat, latHemisphere, lon, lonHemisphere, speed, course, date, status] = fields.slice(3);
+            packet.type = 'location';
+            packet.datetime = parseDdmmyyHhmmss(date, time);
+            packet.gpsPositioned = validity === 'A';
+            packet.lat = parseNmeaCoordinate(lat, latHemisphere);
+            packet.lon = parseNmeaCoordinate(lon, lonHemisphere);
+            packet.latHemisphere = latHemisphere;
+            packet.lonHemisphere = lonHemisphere;
+            packet.speed = Math.round((parseFloat(speed) || 0) * KNOTS_TO_KMH);
+            packet.course = parseInt(course, 10) || 0;
+            if (status && /^[0-9A-F]{8}$/i.test(status)) {
+                // Status bits are active low; byte 3 bit 1 (0x00000400 in the word) is ACC
+                const statusWord = parseInt(status, 16);
+                packet.acc = (statusWord & 0x00000400) === 0;
+                if ((statusWord & 0x00020000) === 0) {
+                    packet.type = 'alarm';
+                    packet.alarmType = 'sos';
+                }
+            }
+            if (packet.lat === null || packet.lon === null) return { type: 'invalid', raw: message };
+            return packet;
+        }
+
+        case 'V4': // Reply to a server command: V4,<command>,<result...>
+            packet.type = 'string_info';
+            packet.content = fields.slice(3).join(',');
+            return packet;
+
+        case 'NBR': { // LBS: time, mcc, mnc, ta, count, (lac, cid, rssi) * count, date, status
+            packet.type = 'lbs';
+            packet.mcc = parseInt(fields[4], 10);
+            packet.mnc = parseInt(fields[5], 10);
+            const count = parseInt(fields[7], 10) || 0;
+            // The count comes from the device: it must fit the fields that arrived (date after the cells)
+            if (count > H02_MAX_CELLS || count > (fields.length - 9) / 3) return { type: 'invalid', raw: message };
+            packet.cells = [];
+            for (let i = 0; i < count; i++) {
+                const base = 8 + i * 3;
+                packet.cells.push({
+                    lac: parseInt(fields[base], 10),
+                    cellId: parseInt(fields[base + 1], 10),
+                    rssi: parseInt(fields[base + 2], 10)
+                });
+            }
+            packet.datetime = parseDdmmyyHhmmss(fields[8 + count * 3], fields[3]);
+            if (packet.cells.length > 0) {
+                packet.lac = packet.cells[0].lac;
+                packet.cellId = packet.cells[0].cellId;
+            }
+            return packet;
+        }
+
+        case 'XT':
+        case 'LINK':
+            packet.type = 'heartbeat';
+            return packet;
+
+        default:
+            packet.type = 'unknown';
+            return packet;
+    }
+}
+
+function parseDdmmyyHhmmss(date, time) {
+    if (!date || !time || date.length < 6 || time.length < 6) return new Date();
+    return new Date(Date.UTC(
+        2000 + parseInt(date.slice(4, 6), 10), parseInt(date.slice(2, 4), 10) - 1, parseInt(date.slice(0, 2), 10),
+        parseInt(time.slice(0, 2), 10), parseInt(time.slice(2, 4), 10), parseInt(time.slice(4, 6), 10)
+    ));
+}
+
+// TK103 (Coban) text protocol, messages terminated with ';':
+//   ##,imei:<imei>,A;                  login, answered with LOAD
+//   <imei>;                            heartbeat, answered with ON
+//   imei:<imei>,<keyword>,<yyMMddHHmm>,<phone>,<F|L>,<hhmmss.sss>,<A|V>,<lat>,<N|S>,<lon>,<E|W>,<speed>,<course>,...
+const TK103_ALARM_KEYWORDS = {
+    'help me': 'sos',
+    'low battery': 'low_battery',
+    'move': 'displacement',
+    'speed': 'overspeed',
+    'stockade': 'exit_fence',
+    'ac alarm': 'power_cut',
+    'door alarm': 'door',
+    'sensor alarm': 'vibration',
+    'acc on': 'acc_on',
+    'acc off': 'acc_off'
+};
+
+const tk103Adapter = {
+    name: 'tk103',
+
+    detect(buffer) {
+        const text = buffer.toString('latin1', 0, Math.min(buffer.length, 24));
+        return text.startsWith('##,imei:') || text.startsWith('imei:') || /^\d{15};/.test(text);
+    },
+
+    decode(buffer, { maxFrameLength = Infinity } = {}) {
+        const text = buffer.toString('latin1');
+        const end = text.lastIndexOf(';');
+        const packets = end === -1 ? [] : text.slice(0, end).split(';')
+            .map(message => message.trim())
+            .filter(message => message.length > 0)
+            .map(message => parseOrInvalid(parseTk103Message, message, message));
+
+        // Messages have no start marker: of an unterminated tail, only the last maxFrameLength
+        // bytes can still belong to a real message
+        const rest = buffer.slice(end + 1);
+        const discarded = Math.max(0, rest.length - maxFrameLength);
+        return { packets, rest: rest.slice(discarded), discarded };
+    },
+
+    encodeAck(packet) {
+        if (packet.type === 'login') return Buffer.from('LOAD');
+        if (packet.type === 'heartbeat') return Buffer.from('ON');
+        return null;
+    }
+};
+
+function parseTk103Message(message) {
+    if (message.startsWith('##,imei:')) {
+        const imei = message.slice(8).split(',')[0];
+        return IMEI_PATTERN.test(imei) ? { type: 'login', imei } : { type: 'invalid', raw: message };
+    }
+    if (/^\d{15}$/.test(message)) {
+        return { type: 'heartbeat', imei: message };
+    }
+    if (!message.startsWith('imei:')) return { type: 'invalid', raw: message };
+
+    const fields = message.split(',');
+    if (!IMEI_PATTERN.test(fields[0].slice(5))) return { type: 'invalid', raw: message };
+    const packet = { imei: fields[0].slice(5), protocol: fields[1], type: 'location' };
+    const alarmType = TK103_ALARM_KEYWORDS[fields[1]];
+    if (alarmType) {
+        packet.type = 'alarm';
+        packet.alarmType = alarmType;
+    }
+    if (alarmType === 'acc_on' || alarmType === 'acc_off') packet.acc = alarmType === 'acc_on';
+
+    if (fields[4] === 'L') {
+        // LBS-only report: lac and cell id instead of coordinates
+        packet.type = packet.type === 'alarm' ? 'alarm' : 'lbs';
+        packet.lac = parseInt(fields[7], 16);
+        packet.cellId = parseInt(fields[9], 16);
+        packet.datetime = new Date();
+        return packet;
+    }
+
+    // Date comes from the local timestamp field, time of day from the UTC GPS time
+    const localStamp = fields[2] || '';
+    packet.datetime = parseDdmmyyHhmmss(
+        localStamp.slice(4, 6) + localStamp.slice(2, 4) + localStamp.slice(0, 2),
+        (fields[5] || '').split('.')[0]
+    );
+    packet.gpsPositioned = fields[6] === 'A';
+    packet.lat = parseNmeaCoordinate(fields[7], fields[8]);
+    packet.lon = parseNmeaCoordinate(fields[9], fields[10]);
+    packet.latHemisphere = fields[8];
+    packet.lonHemisphere = fields[10];
+    packet.speed = Math.round((parseFloat(fields[11]) || 0) * KNOTS_TO_KMH);
+    packet.course = Math.round(parseFloat(fields[12]) || 0);
+
+    if (packet.lat === null || packet.lon === null) return { type: 'invalid', raw: message };
+    return packet;
+}
+
+// Teltonika Codec 8 over TCP:
+//   IMEI handshake: length (2) + ASCII IMEI, answered with 0x01
+//   AVL packet: preamble 0x00000000 (4), data length (4), codec id 0x08 (1), record count (1),
+//   records, record count (1), CRC-16/IBM (4), answered with the accepted record count (4)
+const TELTONIKA_IO = {
+    239: 'acc',            // Ignition
+    240: 'movement',
+    21: 'gsmSignal',
+    66: 'externalVoltage', // mV
+    67: 'batteryVoltage',  // mV
+    16: 'mileage'          // Total odometer, m
+};
+
+const teltonikaAdapter = {
+    name: 'teltonika',
+
+    detect(buffer) {
+        if (buffer.length >= 2) {
+            const imeiLength = buffer.readUInt16BE(0);
+            if (imeiLength >= 15 && imeiLength <= 17 && buffer.length >= 2 + imeiLength) {
+                return /^\d+$/.test(buffer.toString('latin1', 2, 2 + imeiLength));
+            }
+        }
+        return buffer.length >= 9 && buffer.readUInt32BE(0) === 0 && buffer[8] === 0x08;
+    },
+
+    decode(buffer, { maxFrameLength = Infinity } = {}) {
+        const packets = [];
+        let offset = 0;
+        let discarded = 0;
+
+        while (offset < buffer.length) {
+            const remaining = buffer.length - offset;
+            if (remaining < 4) break;
+
+            if (buffer.readUInt32BE(offset) !== 0) {
+                // IMEI handshake
+                const imeiLength = buffer.readUInt16BE(offset);
+                if (imeiLength < 15 || imeiLength > 17) {
+                    discarded += 1;
+                    offset += 1;
+                    continue;
+                }
+                if (remaining < 2 + imeiLength) break;
+                const imei = buffer.toString('latin1', offset + 2, offset + 2 + imeiLength);
+                packets.push(IMEI_PATTERN.test(imei) ? { type: 'login', imei } : { type: 'invalid', raw: buffer.toString('hex', offset, offset + 2 + imeiLength) });
+                offset += 2 + imeiLength;
+                continue;
+            }
+
+            if (remaining < 8) break;
+            const dataLength = buffer.readUInt32BE(offset + 4);
+            const frameLength = 8 + dataLength + 4;
+            if (frameLength > maxFrameLength) {
+                // A length no AVL packet reaches: not a frame boundary after all
+                discarded += 1;
+                offset += 1;
+                continue;
+            }
+            if (remaining < frameLength) break;
+
+            const data = buffer.slice(offset + 8, offset + 8 + dataLength);
+            const expectedCrc = buffer.readUInt32BE(offset + 8 + dataLength);
+            const actualCrc = crc16Ibm(data);
+            if (expectedCrc !== actualCrc) {
+                packets.push({ type: 'crc_error', protocol: data[0], expectedCrc, actualCrc });
+            } else {
+                const parsed = parseOrInvalid(parseTeltonikaAvl, data, data.toString('hex'));
+                packets.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+            }
+            offset += frameLength;
+        }
+
+        return { packets, rest: buffer.slice(offset), discarded };
+    },
+
+    encodeAck(packet) {
+        if (packet.type === 'login') return Buffer.from([0x01]);
+        if (packet.ackRecordCount !== undefined) {
+            const ack = Buffer.alloc(4);
+            ack.writeUInt32BE(packet.ackRecordCount);
+            return ack;
+        }
+        return null;
+    }
+};
+
+const TELTONIKA_RECORD_HEADER_LENGTH = 24; // Timestamp, priority and GPS element
+
+// Every read is bounds-checked against the data length; a record count, IO count or trailing
+// count that does not fit the data makes the whole packet 'invalid' (and unacknowledged)
+function parseTeltonikaAvl(data) {
+    const invalid = reason => [{ type: 'invalid', raw: data.toString('hex'), reason }];
+    if (data.length < 3) return invalid('data too short');
+
+    const codecId = data.readUInt8(0);
+    if (codecId !== 0x08) return [{ type: 'unknown', protocol: codecId }];
+
+    const recordCount = data.readUInt8(1);
+    const packets = [];
+    let offset = 2;
+
+    for (let i = 0; i < recordCount; i++) {
+        if (offset + TELTONIKA_RECORD_HEADER_LENGTH + 2 > data.length) return invalid(`record ${i + 1} of ${recordCount} truncated`);
+        const packet = { type: 'location', protocol: codecId };
+        packet.datetime = new Date(Number(data.readBigUInt64BE(offset)));
+        packet.priority = data.readUInt8(offset + 8);
+        packet.lon = data.readInt32BE(offset + 9) / 10000000;
+        packet.lat = data.readInt32BE(offset + 13) / 10000000;
+        packet.altitude = data.readInt16BE(offset + 17);
+        packet.course = data.readUInt16BE(offset + 19);
+        packet.satellites = data.readUInt8(offset + 21);
+        packet.speed = data.readUInt16BE(offset + 22);
+        packet.gpsPositioned = packet.satellites > 0;
+        packet.latHemisphere = packet.lat < 0 ? 'S' : 'N';
+        packet.lonHemisphere = packet.lon < 0 ? 'W' : 'E';
+        offset += 24;
+
+        // IO element: event id (1), total count (1), then groups of 1, 2, 4 and 8 byte values
+        packet.eventIo = data.readUInt8(offset);
+        offset += 2;
+        packet.io = {};
+        for (const size of [1, 2, 4, 8]) {
+            if (offset + 1 > data.length) return invalid(`record ${i + 1} IO elements truncated`);
+            const count = data.readUInt8(offset);
+            offset += 1;
+            if (offset + count * (1 + size) > data.length) return invalid(`record ${i + 1} IO elements truncated`);
+            for (let j = 0; j < count; j++) {
+                const id = data.readUInt8(offset);
+                const value = size === 8 ? Number(data.readBigUInt64BE(offset + 1)) : data.readUIntBE(offset + 1, size);
+                packet.io[id] = value;
+                offset += 1 + size;
+            }
+        }
+
+        for (const [id, field] of Object.entries(TELTONIKA_IO)) {
+            if (packet.io[id] === undefined) continue;
+            const value = packet.io[id];
+            if (field === 'acc' || field === 'movement') packet[field] = value === 1;
+            else if (field === 'externalVoltage' || field === 'batteryVoltage') packet[field] = value / 1000;
+            else packet[field] = value;
+        }
+
+        packets.push(packet);
+    }
+
+    if (offset + 1 !== data.length || data.readUInt8(offset) !== recordCount) {
+        return invalid('trailing record count does not match');
+    }
+
+    // The device expects the number of accepted records once the whole packet is processed
+    if (packets.length > 0) packets[packets.length - 1].ackRecordCount = recordCount;
+    return packets;
+}
+
+// CRC-16/IBM (ARC): reflected poly 0x8005 (0xA001), init 0x0000
+function crc16Ibm(buffer) {
+    let crc = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc ^= buffer[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+        }
+    }
+    return crc;
+}
+
+const PROTOCOL_ADAPTERS = {
+    teltonika: teltonikaAdapter,
+    h02: h02Adapter,
+    tk103: tk103Adapter,
+    gt06: gt06Adapter
+};
+
+// Order matters: the binary GT06 start bits can occur inside other protocols' payloads,
+// so the stricter text and Teltonika signatures are tried first
+function detectProtocol(buffer) {
+    return Object.values(PROTOCOL_ADAPTERS).find(adapter => adapter.detect(buffer)) || null;
+}
+
+module.exports = {
+    PROTOCOL_ADAPTERS,
+    detectProtocol,
+    parseH02Message,
+    parseTk103Message,
+    parseTeltonikaAvl
+};
@@ -0,0 +1,293 @@
+/**
+ * Position storage
+ * * In-memory and append-only JSONL backends. Embedders can pass any object with the same
+ * methods as `storage` to createTrackingServer(), e.g. one backed by their own database.
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// --- INTERFACE ---
+//
+// Storage backends implement:
+//   init()                                   prepare the store
+//   appendPosition(trackerData)              persist one fix
+//   loadLatest()                             Map of IMEI -> record with the latest position time, used to
+//                                            restore `trackers`
+//   queryHistory(imei, { from, to, limit, offset })
+//                                            { total, positions } ordered by time, `from`/`to` are Dates
+//   appendEvent(event)                       persist one event (geofence, state change, alert...)
+//   queryEvents({ imei, type, excludeTypes, from, to, limit, offset })
+//                                            { total, events } ordered by time
+//   loadCollection(name) / saveCollection(name, items)
+//                                            small configuration collections (e.g. geofences)
+//   close()                                  flush and release resources
+//
+// A Postgres backend only needs the same methods and an entry in STORAGE_BACKENDS, or can be
+// passed directly as createTrackingServer({ storage }).
+
+function hasPosition(data) {
+    return typeof data.lat === 'number' && typeof data.lon === 'number';
+}
+
+// Time used for history ordering and range queries: GPS time if the device sent one
+function positionTime(record) {
+    return new Date(record.datetime || record.receivedTime).getTime();
+}
+
+// Devices replay buffered fixes after a coverage gap, so file order is not time order.
+// Array.prototype.sort is stable: fixes with equal times keep their arrival order.
+function byPositionTime(a, b) {
+    return positionTime(a) - positionTime(b);
+}
+
+// The latest of two records by position time; on a tie the one stored later wins
+function laterPosition(latest, record) {
+    return !latest || byPositionTime(record, latest) >= 0 ? record : latest;
+}
+
+// Keeps the `size` smallest records under `compare` without holding every match: a max-heap
+// whose root is the first to go when a smaller record arrives. Ties keep arrival order.
+class BoundedHeap {
+    constructor(size, compare) {
+        this.size = size;
+        this.items = [];
+        this.sequence = 0;
+        this.compare = (a, b) => compare(a.record, b.record) || a.sequence - b.sequence;
+    }
+
+    push(record) {
+        if (this.size <= 0) return;
+        const item = { record, sequence: this.sequence++ };
+        if (this.items.length < this.size) {
+            this.items.push(item);
+            this.siftUp(this.items.length - 1);
+        } else if (this.compare(item, this.items[0]) < 0) {
+            this.items[0] = item;
+            this.siftDown(0);
+        }
+    }
+
+    sorted() {
+        return this.items.slice().sort(this.compare).map(item => item.record);
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(this.items[index], this.items[parent]) <= 0) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        for (;;) {
+            let largest = index;
+            for (const child of [2 * index + 1, 2 * index + 2]) {
+                if (child < this.items.length && this.compare(this.items[child], this.items[largest]) > 0) largest = child;
+            }
+            if (largest === index) break;
+            this.swap(index, largest);
+            index = largest;
+        }
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    }
+}
+
+// Parsed records of a JSONL file in file order; blank and partial lines are skipped
+async function* readJsonLines(filePath) {
+    try {
+        await fs.promises.access(filePath);
+    } catch (err) {
+        return;
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (err) {
+            // Partial line from an interrupted write
+        }
+    }
+}
+
+function matchesTimeRange(record, from, to) {
+    const time = positionTime(record);
+    return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+}
+
+function matchesEventFilter(event, { imei, type, excludeTypes = [], from, to }) {
+    const time = new Date(event.time).getTime();
+    return (!imei || event.imei === imei)
+        && (!type || event.type === type)
+        && !excludeTypes.includes(event.type)
+        && (!from || time >= from.getTime())
+        && (!to || time <= to.getTime());
+}
+
+class MemoryPositionStore {
+    constructor() {
+        this.positions = new Map(); // Key: IMEI, Value: Array of records
+        this.events = [];
+        this.collections = new Map(); // Key: collection name, Value: Array of items
+    }
+
+    async init() {}
+
+    async appendPosition(trackerData) {
+        if (!this.positions.has(trackerData.imei)) this.positions.set(trackerData.imei, []);
+        this.positions.get(trackerData.imei).push(JSON.parse(JSON.stringify(trackerData)));
+    }
+
+    async loadLatest() {
+        const latest = new Map();
+        for (const [imei, records] of this.positions.entries()) {
+            if (records.length > 0) latest.set(imei, records.reduce(laterPosition, null));
+        }
+        return latest;
+    }
+
+    async queryHistory(imei, { from, to, limit = 1000, offset = 0 } = {}) {
+        const matches = (this.positions.get(imei) || []).filter(record => matchesTimeRange(record, from, to)).sort(byPositionTime);
+        return { total: matches.length, positions: matches.slice(offset, offset + limit) };
+    }
+
+    async appendEvent(event) {
+        this.events.push(JSON.parse(JSON.stringify(event)));
+    }
+
+    async queryEvents({ limit = 1000, offset = 0, ...filter } = {}) {
+        const matches = this.events.filter(event => matchesEventFilter(event, filter));
+        return { total: matches.length, events: matches.slice(offset, offset + limit) };
+    }
+
+    async loadCollection(name) {
+        return JSON.parse(JSON.stringify(this.collections.get(name) || []));
+    }
+
+    async saveCollection(name, items) {
+        this.collections.set(name, JSON.parse(JSON.stringify(items)));
+    }
+
+    async close() {}
+}
+
+// Append-only JSON Lines, one file per IMEI: <DATA_DIR>/positions/<imei>.jsonl
+// Events go to <DATA_DIR>/events.jsonl, collections to <DATA_DIR>/<name>.json
+class JsonlPositionStore {
+    constructor(dataDir, logger) {
+        this.dataDir = dataDir;
+        this.logger = logger;
+        this.directory = path.join(dataDir, 'positions');
+        this.eventsFile = path.join(dataDir, 'events.jsonl');
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        this.logger.info('STORAGE', 'JSONL position store ready', { directory: this.directory });
+    }
+
+    filePath(imei) {
+        // IMEIs are digits; anything else is stripped so it cannot escape the directory
+        return path.join(this.directory, `${String(imei).replace(/[^0-9A-Za-z_-]/g, '')}.jsonl`);
+    }
+
+    async appendPosition(trackerData) {
+        await fs.promises.appendFile(this.filePath(trackerData.imei), JSON.stringify(trackerData) + '\n');
+    }
+
+    // Reads every file once: a replayed backlog can end a file with an older fix than it holds
+    async loadLatest() {
+        const latest = new Map();
+        const files = (await fs.promises.readdir(this.directory)).filter(file => file.endsWith('.jsonl'));
+
+        for (const file of files) {
+            let record = null;
+            for await (const candidate of readJsonLines(path.join(this.directory, file))) {
+                record = laterPosition(record, candidate);
+            }
+            if (record && record.imei) latest.set(record.imei, record);
+        }
+        return latest;
+    }
+
+    async queryHistory(imei, { from, to, limit = 1000, offset = 0 } = {}) {
+        const { total, matches } = await this.scanFile(this.filePath(imei), record => matchesTimeRange(record, from, to), limit, offset, byPositionTime);
+        return { total, positions: matches };
+    }
+
+    async appendEvent(event) {
+        await fs.promises.appendFile(this.eventsFile, JSON.stringify(event) + '\n');
+    }
+
+    async queryEvents({ limit = 1000, offset = 0, ...filter } = {}) {
+        const { total, matches } = await this.scanFile(this.eventsFile, event => matchesEventFilter(event, filter), limit, offset);
+        return { total, events: matches };
+    }
+
+    // Streams a JSONL file, counting every match and keeping one page of them. With `compare`
+    // the page comes from the sorted order, holding at most offset + limit matches meanwhile.
+    async scanFile(filePath, predicate, limit, offset, compare = null) {
+        const matches = [];
+        const heap = compare ? new BoundedHeap(offset + limit, compare) : null;
+        let total = 0;
+
+        for await (const record of readJsonLines(filePath)) {
+            if (!predicate(record)) continue;
+            if (heap) heap.push(record);
+            else if (total >= offset && matches.length < limit) matches.push(record);
+            total++;
+        }
+
+        if (heap) return { total, matches: heap.sorted().slice(offset) };
+        return { total, matches };
+    }
+
+    async loadCollection(name) {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.dataDir, `${name}.json`), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    async saveCollection(name, items) {
+        // Write to a temporary file first so a crash never leaves a truncated collection
+        const filePath = path.join(this.dataDir, `${name}.json`);
+        await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(items, null, 2));
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+    }
+
+    async close() {}
+}
+
+const STORAGE_BACKENDS = {
+    jsonl: ({ dataDir, logger }) => new JsonlPositionStore(dataDir, logger),
+    memory: () => new MemoryPositionStore()
+};
+
+function createStorage(backend, options) {
+    const factory = STORAGE_BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${backend}", expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    hasPosition,
+    positionTime,
+    matchesTimeRange,
+    matchesEventFilter,
+    MemoryPositionStore,
+    JsonlPositionStore,
+    STORAGE_BACKENDS,
+    createStorage
+};
@@ -0,0 +1,2760 @@
+/**
+ * Embeddable tracking server
+ * * createTrackingServer(options) builds one self-contained server: device TCP listeners, the
+ *   message pipeline, REST API, dashboard and WebSocket feed. Nothing listens until start(), and
+ *   every instance has its own state, so several can run in one process (e.g. in tests).
+ * * --- OPTIONS ---
+ * config   settings over the defaults in lib/config.js, e.g. { httpPort: 0, tcpListeners: [{ port: 0, protocol: 'gt06' }] }
+ *          (port 0 picks a free port, see addresses())
+ * storage  object implementing the storage interface in lib/storage.js; default from config.storageBackend
+ * logger   object with error/warn/info/debug(component, message, metadata); default logs to the console
+ * * --- EVENTS ---
+ * login       { imei, protocol, clientAddress, isNewTracker, sessionCount }
+ * position    tracker record after every stored fix (device or simulated), once geofences and alerts ran
+ * heartbeat   tracker record built from the heartbeat packet, once alerts ran
+ * alarm       tracker record built from the alarm packet (alarmType, alarmCode, position if sent)
+ * disconnect  { imei, clientAddress, reason }
+ * * --- METHODS ---
+ * start()                 loads stored state and binds every listener; resolves with the instance
+ * stop()                  stops accepting, closes device and browser connections gracefully, closes storage
+ * reloadConfig(settings)  applies reloadable settings; returns the names that changed
+ * addresses()             { tcp: [{ port, protocol }], http } as actually bound
+ * getTracker(imei)        latest merged record of a tracker, or null
+ */
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+const { CONFIG_SCHEMA, resolveConfig } = require('./config');
+const { createLogger, formatDisplayTime } = require('./logger');
+const { buildGT06Response } = require('./gt06');
+const { PROTOCOL_ADAPTERS, detectProtocol } = require('./protocols');
+const { hasPosition, createStorage } = require('./storage');
+const { EXPORT_MAX_POSITIONS, EXPORT_FORMATS } = require('./export');
+const { detectTrips } = require('./trips');
+const { MqttPublisher } = require('./mqtt');
+const { MetricsRegistry } = require('./metrics');
+const { getHtmlContent } = require('./dashboard');
+const {
+    GEOFENCE_DEFAULT_DWELL_SECONDS,
+    isInsideGeofence,
+    isValidLatLon,
+    createGeofenceState,
+    advanceGeofenceState
+} = require('./geofence');
+
+const SHUTDOWN_GRACE_MS = 5000; // Time devices and browsers get to close before being cut off
+
+function createTrackingServer(options = {}) {
+    const trackingServer = new EventEmitter();
+    const config = resolveConfig(options.config);
+    const Logger = options.logger || createLogger(config);
+
+    // --- TRACKER STATE AND MESSAGE QUEUE ---
+
+    // In-memory storage for tracker data
+    const trackers = new Map(); // Key: IMEI, Value: { lat, lon, speed, course, lastUpdate, ... }
+    const deviceSockets = new Map(); // Key: IMEI, Value: live TCP socket of the logged-in device
+    const deviceConnections = new Set(); // Every open device socket, including ones not logged in yet
+
+    // Protocol-level counters
+    const protocolStats = {
+        crcErrors: 0 // Frames rejected because the error check did not match
+    };
+
+    // Message queuing system to prevent data loss
+    const messageQueues = new Map(); // Key: IMEI, Value: Array of pending messages
+    const broadcastInProgress = new Map(); // Key: IMEI, Value: boolean (true if broadcast in progress)
+    const unbroadcastedMessages = new Map(); // Key: IMEI, Value: queued messages not yet broadcast
+    const messageCounters = new Map(); // Key: IMEI, Value: total message count
+
+    // Helper function to generate unique message ID and queue ID
+    function generateMessageIds(imei) {
+        const currentCount = (messageCounters.get(imei) || 0) + 1;
+        messageCounters.set(imei, currentCount);
+        
+        const messageId = currentCount.toString().padStart(4, '0');
+        const imeiSuffix = imei.slice(-4);
+        const messagePrefix = `${imeiSuffix}-${messageId}`;
+        
+        // Generate unique queue ID (timestamp + random)
+        const timestamp = Date.now().toString(36);
+        const random = Math.random().toString(36).substr(2, 4);
+        const queueId = `${timestamp}-${random}`;
+        
+        return { messageId, messagePrefix, queueId, totalCount: currentCount };
+    }
+
+
+    // Helper function to create tabular timestamp display
+    function createTimestampTable(loggedTime, payloadTime, receivedTime) {
+        const loggedDisplay = formatDisplayTime(loggedTime, config.timezone);
+        const payloadDisplay = formatDisplayTime(payloadTime, config.timezone);
+        const receivedDisplay = formatDisplayTime(receivedTime, config.timezone);
+
+        return `
+┌─────────────────────┬─────────────────────┬─────────────────────┐
+│ Logged Time         │ Payload Time        │ Server Received     │
+├─────────────────────┼─────────────────────┼─────────────────────┤
+│ ${loggedDisplay.padEnd(19)} │ ${payloadDisplay.padEnd(19)} │ ${receivedDisplay.padEnd(19)} │
+└─────────────────────┴─────────────────────┴─────────────────────┘`;
+    }
+
+    // Helper function to generate tracker statistics
+    function getTrackerStats() {
+        const stats = {
+            totalTrackers: trackers.size,
+            trackersByImei: {},
+            latestDataTime: null
+        };
+
+        let latestTimestamp = 0;
+
+        for (const [imei, data] of trackers.entries()) {
+            const lastUpdateTime = data.lastUpdate ? new Date(data.lastUpdate).getTime() : 0;
+
+            stats.trackersByImei[imei] = {
+                hasLocationData: !!(data.lat && data.lon),
+                lastUpdate: data.lastUpdate,
+                status: data.status || 'active',
+                lastSeen: data.lastSeen || null,
+                lastFixAt: data.lastFixAt || null,
+                sessionCount: data.sessionCount || 0,
+                connected: deviceSockets.has(imei)
+            };
+
+            if (lastUpdateTime > latestTimestamp) {
+                latestTimestamp = lastUpdateTime;
+                stats.latestDataTime = data.lastUpdate;
+            }
+        }
+
+        return stats;
+    }
+
+    // Message queue management functions
+    function initializeQueue(imei) {
+        if (!messageQueues.has(imei)) {
+            messageQueues.set(imei, []);
+            broadcastInProgress.set(imei, false);
+            unbroadcastedMessages.set(imei, 0);
+            Logger.debug('QUEUE', 'Initialized message queue', { imei });
+        }
+    }
+
+    function enqueueMessage(imei, trackerData) {
+        initializeQueue(imei);
+
+        // Generate message ID and queue ID
+        const { messageId, messagePrefix, queueId, totalCount } = generateMessageIds(imei);
+        
+        // Add message ID and queue ID to tracker data
+        trackerData.messageId = messageId;
+        trackerData.messagePrefix = messagePrefix;
+        trackerData.queueId = queueId;
+
+        const queue = messageQueues.get(imei);
+        queue.push(trackerData);
+
+        // A stalled queue must not grow without bound; the oldest messages go first
+        if (queue.length > config.maxQueueLength) {
+            const dropped = queue.splice(0, queue.length - config.maxQueueLength);
+            metrics.incrementCounter('queue_dropped_total', {}, dropped.length);
+            Logger.warn('QUEUE', 'Queue limit reached, dropped oldest messages', {
+                imei,
+                dropped: dropped.length,
+                limit: config.maxQueueLength
+            });
+        }
+
+        // Update unbroadcasted count
+        unbroadcastedMessages.set(imei, queue.length);
+
+        Logger.debug('QUEUE', `Message enqueued [${messagePrefix}] [Q:${queueId}]`, {
+            imei,
+            messageId,
+            queueId,
+            queueLength: queue.length,
+            unbroadcastedCount: unbroadcastedMessages.get(imei),
+            totalMessageCount: totalCount
+        });
+
+        // Process queue if not already in progress
+        processMessageQueue(imei);
+    }
+
+    async function processMessageQueue(imei) {
+        // Check if broadcast is already in progress for this IMEI
+        if (broadcastInProgress.get(imei)) {
+            Logger.debug('QUEUE', 'Broadcast already in progress, skipping', { imei });
+            return;
+        }
+
+        const queue = messageQueues.get(imei);
+        if (!queue || queue.length === 0) {
+            Logger.debug('QUEUE', 'Queue is empty, nothing to process', { imei });
+            return;
+        }
+
+        // Mark broadcast as in progress
+        broadcastInProgress.set(imei, true);
+
+        try {
+            while (queue.length > 0) {
+                const message = queue.shift(); // Get first message from queue
+
+                // Merge into the tracker state so partial updates (LBS, status) keep the last known position.
+                // A simulated record is replaced outright, never merged with device data.
+                const previous = trackers.get(imei);
+                const trackerData = previous && previous.source !== 'simulated' ? { ...previous, ...message } : { ...message };
+                trackers.set(imei, trackerData);
+
+                Logger.debug('QUEUE', 'Processing queued message', {
+                    imei,
+                    remainingInQueue: queue.length
+                });
+
+                // Persist fixes before broadcasting; a storage failure must not hold up live updates
+                if (hasPosition(message)) {
+                    try {
+                        await storage.appendPosition(trackerData);
+                    } catch (error) {
+                        Logger.error('STORAGE', 'Failed to persist position', {
+                            imei,
+                            messageId: trackerData.messageId,
+                            error: error.message
+                        });
+                    }
+
+                    await evaluateGeofences(trackerData);
+                    publishEvent('position', imei, withDeviceMetadata(trackerData));
+                }
+
+                await evaluateAlertRules(previous, trackerData, message);
+
+                // Listeners hear of a fix or heartbeat once it is stored and its fences and alerts evaluated
+                if (hasPosition(message)) emitEvent('position', withDeviceMetadata(trackerData));
+                else if (message.packetType === 'heartbeat') emitEvent('heartbeat', { ...message });
+
+                // Update unbroadcasted count: messages still waiting in the queue behind this one
+                unbroadcastedMessages.set(imei, queue.length);
+
+                // Broadcast the message
+                broadcastTrackerUpdate(trackerData);
+            }
+        } catch (error) {
+            Logger.error('QUEUE', 'Error processing message queue', {
+                imei,
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            // Mark broadcast as completed
+            broadcastInProgress.set(imei, false);
+            Logger.debug('QUEUE', 'Queue processing completed', { imei });
+        }
+    }
+
+    // --- 1. TCP SERVER FOR GPS TRACKERS ---
+
+    function createDeviceListener(listener) {
+        // A listener either speaks one configured protocol or detects it from the first bytes
+        const fixedAdapter = listener.protocol === 'auto' ? null : PROTOCOL_ADAPTERS[listener.protocol];
+
+        return net.createServer(socket => {
+            const clientAddress = `${socket.remoteAddress}:${socket.remotePort}`;
+            Logger.info('TCP', 'New connection established', { clientAddress, port: listener.port });
+            deviceConnections.add(socket);
+            metrics.incrementCounter('tcp_connections_total', { port: listener.port });
+
+            // Reassembly buffer: TCP gives no guarantee that one 'data' event is one packet
+            let pending = Buffer.alloc(0);
+            let adapter = fixedAdapter;
+            socket.protocol = adapter ? adapter.name : null;
+
+            socket.on('data', data => {
+                try {
+                    Logger.debug('TCP', 'Received raw data', {
+                        clientAddress,
+                        dataLength: data.length,
+                        hexData: data.toString('hex')
+                    });
+
+                    pending = pending.length > 0 ? Buffer.concat([pending, data]) : data;
+
+                    if (!adapter) {
+                        adapter = detectProtocol(pending);
+                        if (adapter) {
+                            socket.protocol = adapter.name;
+                            Logger.info('TCP', 'Protocol detected', { clientAddress, protocol: adapter.name });
+                        } else if (pending.length > config.maxFrameBuffer) {
+                            Logger.warn('TCP', 'No protocol matched, dropping buffered data', {
+                                clientAddress,
+                                bufferedBytes: pending.length
+                            });
+                            pending = Buffer.alloc(0);
+                            return;
+                        } else {
+                            return; // Wait for more bytes before deciding
+                        }
+                    }
+
+                    // A tracker can send multiple packets in one chunk, or split one packet across chunks.
+                    const decodeOptions = { maxFrameLength: config.maxFrameBuffer };
+                    let { packets, rest, discarded } = adapter.decode(pending, decodeOptions);
+
+                    // The adapters skip frames that could never fit; should one still wait on an
+                    // oversized frame, skip the byte it started on and rescan the rest
+                    while (rest.length > config.maxFrameBuffer) {
+                        const rescan = adapter.decode(rest.subarray(1), decodeOptions);
+                        packets = packets.concat(rescan.packets);
+                        discarded += 1 + rescan.discarded;
+                        rest = rescan.rest;
+                    }
+                    pending = rest;
+
+                    if (discarded > 0) {
+                        metrics.incrementCounter('discarded_bytes_total', { protocol: adapter.name }, discarded);
+                        Logger.warn('TCP', 'Discarded bytes while resyncing on frame boundaries', {
+                            clientAddress,
+                            imei: socket.imei,
+                            protocol: adapter.name,
+                            discardedBytes: discarded
+                        });
+                    }
+
+                    for (const packet of packets) {
+                        recordPacketMetrics(adapter.name, packet);
+                        handlePacket(socket, clientAddress, packet);
+                        if (socket.destroyed) break; // Rejected by the device registry
+
+                        const ack = adapter.encodeAck(packet);
+                        if (ack) {
+                            socket.write(ack);
+                            metrics.incrementCounter('acks_sent_total', { protocol: adapter.name, type: packet.type });
+                            Logger.debug('TCP', 'Acknowledgement sent', {
+                                imei: socket.imei,
+                                protocol: adapter.name,
+                                packetType: packet.type,
+                                hexData: ack.toString('hex')
+                            });
+                        }
+                    }
+                } catch (err) {
+                    // Never feed the same bytes through again, or one bad frame wedges the connection
+                    pending = Buffer.alloc(0);
+                    Logger.error('TCP', 'Error processing data', {
+                        clientAddress,
+                        imei: socket.imei,
+                        error: err.message,
+                        stack: err.stack
+                    });
+                }
+            });
+
+            socket.on('close', () => {
+                deviceConnections.delete(socket);
+                Logger.info('TCP', 'Connection closed', {
+                    clientAddress,
+                    imei: socket.imei
+                });
+
+                // A superseded session's close must not mark the device offline: a newer one is live
+                if (socket.superseded) {
+                    Logger.debug('TCP', 'Superseded session closed', { imei: socket.imei });
+                    return;
+                }
+
+                if (socket.imei && deviceSockets.get(socket.imei) === socket) {
+                    deviceSockets.delete(socket.imei);
+                }
+
+                if (socket.imei && trackers.has(socket.imei)) {
+                    setTrackerState(socket.imei, 'offline', socket.closeReason || 'connection_closed');
+                }
+
+                if (socket.imei) {
+                    emitEvent('disconnect', { imei: socket.imei, clientAddress, reason: socket.closeReason || 'connection_closed' });
+                }
+            });
+
+            // Half-open connections (device lost coverage) never emit 'close' on their own
+            socket.setTimeout(config.deviceOfflineAfterMs);
+            socket.on('timeout', () => {
+                Logger.warn('TCP', 'No data within timeout, closing connection', {
+                    clientAddress,
+                    imei: socket.imei,
+                    timeoutSeconds: config.deviceOfflineAfterMs / 1000
+                });
+                socket.closeReason = 'timeout';
+                socket.destroy();
+            });
+
+            socket.on('error', err => {
+                Logger.error('TCP', 'Socket error', {
+                    clientAddress,
+                    imei: socket.imei,
+                    error: err.message,
+                    code: err.code
+                });
+            });
+        });
+    }
+
+    // Fields copied from a parsed packet onto the normalized tracker record, when present
+    const TRACKER_DATA_FIELDS = [
+        'lat', 'lon', 'speed', 'course', 'datetime', 'satellites',
+        'realtimeGps', 'gpsPositioned', 'latHemisphere', 'lonHemisphere',
+        'mcc', 'mnc', 'lac', 'cellId', 'cells', 'acc', 'mileage',
+        'terminalInfo', 'oilElectricityCut', 'gpsTracking', 'terminalAlarm', 'charging', 'defenceArmed',
+        'voltageLevel', 'voltage', 'gsmSignal', 'gsmSignalStrength', 'language',
+        'alarmCode', 'alarmType',
+        'externalVoltage', 'terminalStatus', 'doorOpen', 'imsi', 'iccid',
+        'altitude', 'movement', 'batteryVoltage'
+    ];
+
+    function buildTrackerData(imei, packet) {
+        const receivedTime = new Date(); // Time when server received the data
+        const trackerData = {
+            imei,
+            source: 'device',
+            packetType: packet.type,
+            protocol: packet.protocol
+        };
+
+        for (const field of TRACKER_DATA_FIELDS) {
+            if (packet[field] !== undefined) trackerData[field] = packet[field];
+        }
+
+        if (packet.type === 'string_info') {
+            trackerData.commandResponse = packet.content;
+            trackerData.serverFlag = packet.serverFlag;
+        }
+
+        trackerData.lastUpdate = new Date().toISOString();
+        trackerData.receivedTime = receivedTime.toISOString();
+        return trackerData;
+    }
+
+    function handlePacket(socket, clientAddress, packet) {
+        // Protocols without a login packet (H02, TK103 positions) identify the device in every message
+        if (packet.type !== 'login' && packet.imei && !socket.imei) {
+            handlePacket(socket, clientAddress, { type: 'login', imei: packet.imei, implicit: true });
+        }
+
+        if (packet.type === 'login' && !admitDevice(socket, clientAddress, packet.imei)) {
+            if (socket.quarantined) recordQuarantinedPacket(packet.imei, clientAddress, packet, socket.protocol);
+            return;
+        }
+
+        // A quarantined connection is lifted as soon as the device gets registered
+        if (socket.quarantined && packet.type !== 'login') {
+            if (!admitDevice(socket, clientAddress, socket.imei)) {
+                recordQuarantinedPacket(socket.imei, clientAddress, packet, socket.protocol);
+                return;
+            }
+            handlePacket(socket, clientAddress, { type: 'login', imei: socket.imei, implicit: true });
+        }
+
+        if (packet.type === 'login') {
+            const isNewTracker = !trackers.has(packet.imei);
+            const previousSocket = deviceSockets.get(packet.imei);
+            const isNewSession = previousSocket !== socket;
+
+            // One authoritative session per IMEI: a newer login supersedes the old connection
+            if (previousSocket && isNewSession && !previousSocket.destroyed) {
+                previousSocket.superseded = true;
+                previousSocket.closeReason = 'superseded';
+                Logger.warn('TCP', 'Duplicate login, closing superseded session', {
+                    imei: packet.imei,
+                    previousAddress: `${previousSocket.remoteAddress}:${previousSocket.remotePort}`,
+                    clientAddress
+                });
+                previousSocket.destroy();
+            }
+
+            // Associate IMEI with this socket connection
+            socket.imei = packet.imei;
+            deviceSockets.set(packet.imei, socket);
+            if (isNewTracker) {
+                trackers.set(packet.imei, { imei: packet.imei });
+            }
+
+            const tracker = trackers.get(packet.imei);
+            if (isNewSession) {
+                tracker.sessionCount = (tracker.sessionCount || 0) + 1;
+                tracker.sessionStartedAt = new Date().toISOString();
+            }
+
+            Logger.info('TCP', 'Tracker login successful', {
+                imei: packet.imei,
+                clientAddress,
+                protocol: socket.protocol,
+                isNewTracker,
+                sessionCount: tracker.sessionCount,
+                replacedSession: !!previousSocket && isNewSession
+            });
+
+            emitEvent('login', {
+                imei: packet.imei,
+                protocol: socket.protocol,
+                clientAddress,
+                isNewTracker,
+                sessionCount: tracker.sessionCount
+            });
+
+            // Deliver commands queued while the device was offline, after the login ACK has gone out
+            setImmediate(() => flushQueuedCommands(packet.imei));
+
+        } else if (packet.type === 'location' && socket.imei) {
+            Logger.info('TCP', 'Location data received', {
+                imei: socket.imei,
+                protocolNumber: packet.protocol,
+                lat: packet.lat,
+                lon: packet.lon,
+                speed: packet.speed,
+                course: packet.course,
+                satellites: packet.satellites,
+                realtimeGps: packet.realtimeGps,
+                gpsPositioned: packet.gpsPositioned
+            });
+
+            // Enqueue message instead of direct broadcast to prevent data loss
+            enqueueMessage(socket.imei, buildTrackerData(socket.imei, packet));
+
+        } else if (packet.type === 'alarm' && socket.imei) {
+            Logger.warn('TCP', 'Alarm received', {
+                imei: socket.imei,
+                protocolNumber: packet.protocol,
+                alarmType: packet.alarmType,
+                alarmCode: packet.alarmCode,
+                lat: packet.lat,
+                lon: packet.lon
+            });
+
+            const trackerData = buildTrackerData(socket.imei, packet);
+            emitEvent('alarm', { ...trackerData });
+            enqueueMessage(socket.imei, trackerData);
+
+        } else if (packet.type === 'lbs' && socket.imei) {
+            Logger.info('TCP', 'LBS data received', {
+                imei: socket.imei,
+                protocolNumber: packet.protocol,
+                mcc: packet.mcc,
+                mnc: packet.mnc,
+                cellCount: packet.cells ? packet.cells.length : 0
+            });
+
+            enqueueMessage(socket.imei, buildTrackerData(socket.imei, packet));
+
+        } else if (packet.type === 'information' && socket.imei) {
+            Logger.info('TCP', 'Information transmission received', {
+                imei: socket.imei,
+                infoType: packet.infoType,
+                subtype: packet.subtype
+            });
+
+            if (packet.infoType === 'unknown') {
+                Logger.debug('TCP', 'Unhandled information subtype', { imei: socket.imei, rawContent: packet.rawContent });
+            } else {
+                enqueueMessage(socket.imei, buildTrackerData(socket.imei, packet));
+            }
+
+        } else if (packet.type === 'string_info' && socket.imei) {
+            Logger.info('TCP', 'String information received', {
+                imei: socket.imei,
+                protocolNumber: packet.protocol,
+                serverFlag: packet.serverFlag,
+                content: packet.content
+            });
+
+            completeCommand(socket.imei, packet);
+            enqueueMessage(socket.imei, buildTrackerData(socket.imei, packet));
+
+        } else if (packet.type === 'heartbeat' && socket.imei) {
+            Logger.debug('TCP', 'Heartbeat received', {
+                imei: socket.imei,
+                serial: packet.serial,
+                acc: packet.acc,
+                charging: packet.charging,
+                voltage: packet.voltage,
+                gsmSignalStrength: packet.gsmSignalStrength
+            });
+
+            // Status-only update: merged into the tracker record and broadcast like a fix
+            enqueueMessage(socket.imei, buildTrackerData(socket.imei, packet));
+        } else if (packet.type === 'crc_error') {
+            protocolStats.crcErrors++;
+            Logger.warn('TCP', 'CRC mismatch, packet rejected', {
+                clientAddress,
+                imei: socket.imei,
+                protocol: socket.protocol,
+                protocolNumber: packet.protocol,
+                expectedCrc: packet.expectedCrc.toString(16),
+                actualCrc: packet.actualCrc.toString(16),
+                totalCrcErrors: protocolStats.crcErrors
+            });
+        }
+
+        if (socket.imei && packet.type !== 'invalid' && packet.type !== 'crc_error') {
+            recordDeviceActivity(socket.imei, packet);
+        }
+
+        if (packet.type === 'invalid') {
+            Logger.warn('TCP', 'Failed to parse packet, skipping frame', {
+                clientAddress,
+                imei: socket.imei,
+                protocol: socket.protocol,
+                hexData: packet.raw
+            });
+        } else if (packet.type === 'unknown') {
+            Logger.warn('TCP', 'Unknown packet type received', {
+                clientAddress,
+                imei: socket.imei,
+                protocolNumber: packet.protocol
+            });
+        }
+    }
+
+    // --- 2. DEVICE REGISTRY ---
+    //
+    // Device: { imei, displayName, plateNumber, vehicleType, group, iconColor, enabled,
+    //          speedLimit, idleMinutes, lowVoltage } (alert thresholds, see ALERTS)
+    // Only registered, enabled devices become trackers. Registry metadata is merged into every
+    // broadcast, so edits show up on dashboards without waiting for the next fix.
+
+    const deviceRegistry = new Map(); // Key: IMEI, Value: device
+    const quarantinedDevices = new Map(); // Key: IMEI, Value: { imei, firstSeen, lastSeen, clientAddress, protocol, packetCount }
+    // Unknown IMEIs are attacker-controlled, so the list is bounded: entries silent for
+    // QUARANTINE_TTL_MS expire and beyond QUARANTINE_MAX_ENTRIES the least recently seen go first
+    const QUARANTINE_MAX_ENTRIES = 1000;
+    const QUARANTINE_TTL_MS = 24 * 60 * 60 * 1000;
+
+    const DEVICE_METADATA_FIELDS = ['displayName', 'plateNumber', 'vehicleType', 'group', 'iconColor'];
+    const DEVICE_ALERT_THRESHOLDS = { speedLimit: 'km/h', idleMinutes: 'min', lowVoltage: 'V' }; // Field: unit
+
+    function validateDevice(input, imei) {
+        if (!input || typeof input !== 'object') throw new HttpError(400, 'Device must be a JSON object');
+        if (typeof imei !== 'string' || !/^[0-9A-Za-z_-]{1,32}$/.test(imei)) {
+            throw new HttpError(400, 'imei must be 1-32 alphanumeric characters');
+        }
+
+        const device = { imei, enabled: input.enabled ?? true };
+        if (typeof device.enabled !== 'boolean') throw new HttpError(400, 'enabled must be a boolean');
+
+        for (const field of DEVICE_METADATA_FIELDS) {
+            if (input[field] === undefined || input[field] === null) continue;
+            if (typeof input[field] !== 'string' || input[field].length > 100) {
+                throw new HttpError(400, `${field} must be a string of at most 100 characters`);
+            }
+            device[field] = input[field].trim();
+        }
+        if (device.iconColor && !/^#[0-9A-Fa-f]{6}$/.test(device.iconColor)) {
+            throw new HttpError(400, 'iconColor must be a hex color like #1e88e5');
+        }
+        for (const [field, unit] of Object.entries(DEVICE_ALERT_THRESHOLDS)) {
+            if (input[field] === undefined || input[field] === null) continue;
+            if (typeof input[field] !== 'number' || input[field] <= 0) throw new HttpError(400, `${field} must be a positive number (${unit})`);
+            device[field] = input[field];
+        }
+
+        return device;
+    }
+
+    async function loadDeviceRegistry() {
+        for (const device of await storage.loadCollection('devices')) {
+            deviceRegistry.set(device.imei, device);
+        }
+        Logger.info('REGISTRY', 'Device registry loaded', { count: deviceRegistry.size, unknownDevicePolicy: config.unknownDevicePolicy });
+    }
+
+    async function saveDeviceRegistry() {
+        await storage.saveCollection('devices', Array.from(deviceRegistry.values()));
+    }
+
+    // Applies the registry to a login. Returns false if the connection must not become a tracker.
+    function admitDevice(socket, clientAddress, imei) {
+        const device = deviceRegistry.get(imei);
+
+        if (device && !device.enabled) {
+            Logger.warn('REGISTRY', 'Login from disabled device rejected', { imei, clientAddress });
+            socket.destroy();
+            return false;
+        }
+
+        if (device || config.unknownDevicePolicy === 'accept') {
+            if (socket.quarantined) {
+                socket.quarantined = false;
+                quarantinedDevices.delete(imei);
+                Logger.info('REGISTRY', 'Device registered, quarantine lifted', { imei, clientAddress });
+            }
+            return true;
+        }
+
+        if (config.unknownDevicePolicy === 'reject') {
+            Logger.warn('REGISTRY', 'Login from unknown IMEI rejected', { imei, clientAddress });
+            socket.destroy();
+            return false;
+        }
+
+        // Quarantine: keep the device connected and ACKed so it can be approved without a reconnect
+        if (!socket.quarantined) {
+            Logger.warn('REGISTRY', 'Login from unknown IMEI quarantined', { imei, clientAddress });
+        }
+        socket.imei = imei;
+        socket.quarantined = true;
+        return false;
+    }
+
+    function recordQuarantinedPacket(imei, clientAddress, packet, protocol) {
+        const now = new Date().toISOString();
+        const entry = quarantinedDevices.get(imei) || { imei, firstSeen: now, packetCount: 0 };
+        entry.lastSeen = now;
+        entry.clientAddress = clientAddress;
+        entry.lastPacketType = packet.type;
+        if (protocol) entry.protocol = protocol;
+        entry.packetCount++;
+        // Re-inserting keeps the map ordered by lastSeen, oldest first
+        quarantinedDevices.delete(imei);
+        quarantinedDevices.set(imei, entry);
+        pruneQuarantine();
+    }
+
+    function pruneQuarantine() {
+        const expiredBefore = Date.now() - QUARANTINE_TTL_MS;
+        for (const [imei, entry] of quarantinedDevices.entries()) {
+            const expired = new Date(entry.lastSeen).getTime() < expiredBefore;
+            if (!expired && quarantinedDevices.size <= QUARANTINE_MAX_ENTRIES) break;
+            quarantinedDevices.delete(imei);
+            Logger.debug('REGISTRY', expired ? 'Quarantine entry expired' : 'Quarantine full, dropping oldest entry', { imei });
+        }
+    }
+
+    // Registry metadata layered over tracker data for dashboards and API consumers
+    function withDeviceMetadata(data) {
+        const device = deviceRegistry.get(data.imei);
+        if (!device) return data;
+
+        const merged = { ...data };
+        for (const field of DEVICE_METADATA_FIELDS) {
+            if (device[field] !== undefined) merged[field] = device[field];
+        }
+        return merged;
+    }
+
+    // --- 3. DEVICE COMMANDS ---
+    //
+    // Online commands are sent as GT06 0x80 packets:
+    //   command length (1) = server flag + command, server flag (4), command (ASCII), language (2)
+    // The device answers with 0x15/0x21 carrying the same server flag, which is how replies are
+    // matched to requests. Status: queued -> sent -> acked | timed_out, or failed.
+
+    const COMMAND_TIMEOUT_MS = 30000; // Time a sent command may wait for the device's reply
+    const COMMAND_HISTORY_LIMIT = 1000; // Finished commands kept in memory for status queries
+    const MAX_COMMAND_LENGTH = 200; // Keeps the 0x80 packet within a 1-byte length field
+
+    const commands = new Map(); // Key: command id, Value: command record
+    const commandsByServerFlag = new Map(); // Key: server flag, Value: command id (sent, awaiting reply)
+    let nextServerFlag = 1;
+
+    function createCommand(imei, text) {
+        if (typeof text !== 'string' || text.length === 0 || text.length > MAX_COMMAND_LENGTH || !/^[\x20-\x7E]+$/.test(text)) {
+            throw new HttpError(400, `command must be 1-${MAX_COMMAND_LENGTH} printable ASCII characters, e.g. "WHERE#"`);
+        }
+
+        const command = {
+            id: crypto.randomUUID(),
+            imei,
+            command: text,
+            serverFlag: nextServerFlag,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            sentAt: null,
+            completedAt: null,
+            response: null,
+            error: null
+        };
+        nextServerFlag = nextServerFlag >= 0xFFFFFFFF ? 1 : nextServerFlag + 1;
+
+        commands.set(command.id, command);
+        pruneCommandHistory();
+        Logger.info('COMMAND', 'Command created', { id: command.id, imei, command: text });
+
+        sendCommand(command);
+        return command;
+    }
+
+    function buildGT06Command(command, serial) {
+        const text = Buffer.from(command.command, 'ascii');
+        const content = Buffer.alloc(1 + 4 + text.length + 2);
+        content.writeUInt8(4 + text.length, 0);
+        content.writeUInt32BE(command.serverFlag, 1);
+        text.copy(content, 5);
+        content.writeUInt16BE(0x0002, 5 + text.length); // English
+        return buildGT06Response(0x80, serial, content);
+    }
+
+    // Writes the command if the device is connected; otherwise it stays queued until login
+    function sendCommand(command) {
+        const socket = deviceSockets.get(command.imei);
+        if (!socket || socket.destroyed) {
+            Logger.info('COMMAND', 'Device offline, command queued', { id: command.id, imei: command.imei });
+            return;
+        }
+
+        if (socket.protocol !== 'gt06') {
+            finishCommand(command, 'failed', { error: `Commands are not supported for protocol ${socket.protocol}` });
+            return;
+        }
+
+        socket.commandSerial = ((socket.commandSerial || 0) + 1) & 0xFFFF;
+        const packet = buildGT06Command(command, socket.commandSerial);
+        socket.write(packet);
+
+        command.status = 'sent';
+        command.sentAt = new Date().toISOString();
+        commandsByServerFlag.set(command.serverFlag, command.id);
+        command.timer = setTimeout(() => {
+            commandsByServerFlag.delete(command.serverFlag);
+            finishCommand(command, 'timed_out', { error: `No reply within ${COMMAND_TIMEOUT_MS / 1000}s` });
+        }, COMMAND_TIMEOUT_MS);
+        command.timer.unref();
+
+        Logger.info('COMMAND', 'Command sent', {
+            id: command.id,
+            imei: command.imei,
+            serverFlag: command.serverFlag,
+            hexData: packet.toString('hex')
+        });
+    }
+
+    function flushQueuedCommands(imei) {
+        for (const command of commands.values()) {
+            if (command.imei === imei && command.status === 'queued') sendCommand(command);
+        }
+    }
+
+    // Called for 0x15/0x21 replies; unmatched replies (e.g. SMS-triggered) are just logged
+    function completeCommand(imei, packet) {
+        const id = commandsByServerFlag.get(packet.serverFlag);
+        const command = id && commands.get(id);
+        if (!command || command.imei !== imei) {
+            Logger.debug('COMMAND', 'Reply without a matching command', { imei, serverFlag: packet.serverFlag });
+            return;
+        }
+
+        commandsByServerFlag.delete(packet.serverFlag);
+        finishCommand(command, 'acked', { response: packet.content });
+    }
+
+    function finishCommand(command, status, { response = null, error = null } = {}) {
+        clearTimeout(command.timer);
+        delete command.timer;
+        command.status = status;
+        command.completedAt = new Date().toISOString();
+        command.response = response;
+        command.error = error;
+
+        const log = status === 'acked' ? Logger.info : Logger.warn;
+        log.call(Logger, 'COMMAND', `Command ${status}`, { id: command.id, imei: command.imei, response, error });
+    }
+
+    function pruneCommandHistory() {
+        if (commands.size <= COMMAND_HISTORY_LIMIT) return;
+        for (const [id, command] of commands.entries()) {
+            if (commands.size <= COMMAND_HISTORY_LIMIT) break;
+            if (command.completedAt) commands.delete(id);
+        }
+    }
+
+    // Command record as returned by the API (without the timer handle)
+    function serializeCommand(command) {
+        const { timer, ...rest } = command;
+        return rest;
+    }
+
+    // --- 4. DEVICE STATE ---
+    //
+    // Connection lifecycle kept in the tracker record's `status`:
+    //   online   reporting, last fix had GPS
+    //   no_gps   reporting, but the last fix was not positioned (or no fix for DEVICE_NO_GPS_AFTER_MS)
+    //   idle     connected, nothing received for DEVICE_IDLE_AFTER_MS
+    //   offline  socket closed or timed out
+    // Every transition is stored as a 'state' event and pushed to dashboards.
+
+    const STATE_SWEEP_INTERVAL_MS = 30000;
+
+    function recordDeviceActivity(imei, packet) {
+        const tracker = trackers.get(imei);
+        if (!tracker) return;
+
+        const now = new Date().toISOString();
+        tracker.lastSeen = now;
+
+        const isFix = packet.type === 'location' || (packet.type === 'alarm' && typeof packet.lat === 'number');
+        if (isFix && packet.gpsPositioned !== false) {
+            tracker.lastFixAt = now;
+            setTrackerState(imei, 'online', 'gps_fix');
+        } else if (isFix) {
+            setTrackerState(imei, 'no_gps', 'fix_not_positioned');
+        } else if (tracker.status === 'idle' || tracker.status === 'offline' || !tracker.status) {
+            // Traffic without a fix wakes the device up; GPS state is unknown until the next fix
+            const recentFix = tracker.lastFixAt && Date.now() - new Date(tracker.lastFixAt).getTime() < config.deviceNoGpsAfterMs;
+            setTrackerState(imei, recentFix ? 'online' : 'no_gps', `${packet.type}_received`);
+        }
+    }
+
+    function setTrackerState(imei, state, reason) {
+        const tracker = trackers.get(imei);
+        if (!tracker || tracker.status === state) return;
+
+        const previous = tracker.status || 'unknown';
+        const now = new Date().toISOString();
+        tracker.status = state;
+        tracker.stateChangedAt = now;
+
+        const event = {
+            type: 'state',
+            imei,
+            from: previous,
+            to: state,
+            reason,
+            lastSeen: tracker.lastSeen || null,
+            time: now
+        };
+
+        Logger.info('STATE', `Tracker ${previous} -> ${state}`, { imei, reason });
+        storage.appendEvent(event).catch(error => {
+            Logger.error('STATE', 'Failed to persist state change', { imei, error: error.message });
+        });
+        broadcastMessage({ type: 'state_change', data: event });
+        publishEvent('state', imei, event);
+        broadcastTrackerUpdate(tracker);
+    }
+
+    // Moves silent devices to idle and fix-less ones to no_gps; offline is driven by the socket
+    function sweepTrackerStates() {
+        const now = Date.now();
+        for (const [imei, tracker] of trackers.entries()) {
+            if (tracker.source === 'simulated' || !deviceSockets.has(imei)) continue;
+
+            const lastSeen = tracker.lastSeen ? new Date(tracker.lastSeen).getTime() : 0;
+            const lastFix = tracker.lastFixAt ? new Date(tracker.lastFixAt).getTime() : 0;
+
+            if (now - lastSeen >= config.deviceIdleAfterMs) {
+                setTrackerState(imei, 'idle', 'no_data');
+            } else if (tracker.status === 'online' && now - lastFix >= config.deviceNoGpsAfterMs) {
+                setTrackerState(imei, 'no_gps', 'no_recent_fix');
+            }
+        }
+    }
+
+    const storage = options.storage || createStorage(config.storageBackend, { dataDir: config.dataDir, logger: Logger });
+
+    // Restores the last known state of every tracker. Devices are offline until they reconnect.
+    async function restoreTrackers() {
+        const latest = await storage.loadLatest();
+        for (const [imei, record] of latest.entries()) {
+            trackers.set(imei, { ...record, status: 'offline' });
+        }
+        Logger.info('STORAGE', 'Restored tracker state', { trackerCount: latest.size });
+    }
+
+    // --- 5. GEOFENCING ---
+    //
+    // Geofence: { id, name, type: 'circle' | 'polygon', center: { lat, lon }, radius (m),
+    //             coordinates: [[lat, lon], ...], imeis: [...] (empty = every tracker), dwellSeconds }
+    // Every positioned device fix is evaluated against the fences assigned to its IMEI. A state
+    // change must be seen on GEOFENCE_DEBOUNCE_FIXES consecutive fixes before enter/exit fires, and
+    // dwell fires once per visit after dwellSeconds inside (see lib/geofence.js).
+
+    const geofences = new Map(); // Key: geofence id, Value: geofence
+    const geofenceStates = new Map(); // Key: `${imei}:${geofenceId}`, Value: state from lib/geofence.js
+
+    // Returns a normalized geofence or throws HttpError(400)
+    function validateGeofence(input, id) {
+        if (!input || typeof input !== 'object') throw new HttpError(400, 'Geofence must be a JSON object');
+
+        const geofence = {
+            id,
+            name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : id,
+            type: input.type,
+            imeis: Array.isArray(input.imeis) ? input.imeis.map(String) : [],
+            dwellSeconds: input.dwellSeconds ?? GEOFENCE_DEFAULT_DWELL_SECONDS
+        };
+
+        if (!Number.isFinite(geofence.dwellSeconds) || geofence.dwellSeconds <= 0) {
+            throw new HttpError(400, 'dwellSeconds must be a positive number');
+        }
+
+        if (input.type === 'circle') {
+            const { center, radius } = input;
+            if (!center || !isValidLatLon(center.lat, center.lon)) throw new HttpError(400, 'circle needs center { lat, lon }');
+            if (typeof radius !== 'number' || radius <= 0) throw new HttpError(400, 'circle needs a positive radius in meters');
+            geofence.center = { lat: center.lat, lon: center.lon };
+            geofence.radius = radius;
+        } else if (input.type === 'polygon') {
+            const { coordinates } = input;
+            if (!Array.isArray(coordinates) || coordinates.length < 3
+                || !coordinates.every(point => Array.isArray(point) && isValidLatLon(point[0], point[1]))) {
+                throw new HttpError(400, 'polygon needs at least 3 [lat, lon] coordinates');
+            }
+            geofence.coordinates = coordinates.map(([lat, lon]) => [lat, lon]);
+        } else {
+            throw new HttpError(400, 'type must be "circle" or "polygon"');
+        }
+
+        return geofence;
+    }
+
+    async function loadGeofences() {
+        for (const geofence of await storage.loadCollection('geofences')) {
+            geofences.set(geofence.id, geofence);
+        }
+        Logger.info('GEOFENCE', 'Geofences loaded', { count: geofences.size });
+    }
+
+    async function saveGeofences() {
+        await storage.saveCollection('geofences', Array.from(geofences.values()));
+    }
+
+    function removeGeofenceStates(geofenceId) {
+        for (const key of geofenceStates.keys()) {
+            if (key.endsWith(`:${geofenceId}`)) geofenceStates.delete(key);
+        }
+    }
+
+    async function evaluateGeofences(trackerData) {
+        // Without a fix the coordinates are the last known (or a stale) position: they must not
+        // count towards debounce, and could fake an exit
+        if (trackerData.gpsPositioned === false) return;
+
+        const { imei, lat, lon } = trackerData;
+        const now = Date.now();
+        const events = [];
+
+        for (const geofence of geofences.values()) {
+            if (geofence.imeis.length > 0 && !geofence.imeis.includes(imei)) continue;
+
+            const key = `${imei}:${geofence.id}`;
+            const inside = isInsideGeofence(geofence, lat, lon);
+            const state = geofenceStates.get(key);
+
+            if (!state) {
+                geofenceStates.set(key, createGeofenceState(inside, now));
+                continue;
+            }
+
+            const change = advanceGeofenceState(state, geofence, inside, now);
+            if (change) events.push(createGeofenceEvent(change.event, geofence, trackerData, change.details));
+        }
+
+        for (const event of events) {
+            Logger.info('GEOFENCE', `Geofence ${event.event}`, {
+                imei,
+                geofenceId: event.geofenceId,
+                geofenceName: event.geofenceName
+            });
+            try {
+                await storage.appendEvent(event);
+            } catch (error) {
+                Logger.error('GEOFENCE', 'Failed to persist geofence event', { imei, error: error.message });
+            }
+            broadcastMessage({ type: 'geofence_event', data: event });
+            publishEvent('geofence', imei, event);
+        }
+
+        return events;
+    }
+
+    function createGeofenceEvent(event, geofence, trackerData, extra = {}) {
+        return {
+            type: 'geofence',
+            event,
+            imei: trackerData.imei,
+            geofenceId: geofence.id,
+            geofenceName: geofence.name,
+            lat: trackerData.lat,
+            lon: trackerData.lon,
+            datetime: trackerData.datetime,
+            time: new Date().toISOString(),
+            ...extra
+        };
+    }
+
+    // --- 6. ALERTS ---
+    //
+    // Rules run on every device message processed by the queue (fixes, heartbeats, alarms):
+    //   overspeed   speed above the device's speedLimit (or ALERT_SPEED_LIMIT)
+    //   idling      ACC on and stationary for longer than the device's idleMinutes (or ALERT_IDLE_MINUTES)
+    //   ignition    ACC switched on or off
+    //   low_voltage external voltage under the device's lowVoltage (or ALERT_LOW_VOLTAGE), or
+    //               battery level reported as low
+    //   alarm       SOS and other device alarm packets, and alarm states in terminal info
+    // Conditions that devices report on every packet (overspeed, low voltage, terminal alarm state)
+    // raise when they start and not again until they have cleared, so a persistent condition
+    // neither keeps its alert fresh nor re-raises right after it is acknowledged.
+    // A new trigger with the same IMEI, rule and key inside ALERT_DEDUP_WINDOW_MS is folded into
+    // the open alert (count++) instead of raising another. Alerts stay open until acknowledged.
+
+    const ALERT_DEDUP_WINDOW_MS = 5 * 60 * 1000;
+    const ALERT_HISTORY_LIMIT = 1000;
+
+    const CRITICAL_ALARMS = new Set(['sos', 'power_cut', 'tamper', 'low_battery_protection']);
+
+    const alerts = new Map(); // Key: alert id, Value: alert
+    const idleTracking = new Map(); // Key: IMEI, Value: { since, alerted }
+    const alertConditions = new Map(); // Key: IMEI, Value: Map of condition name -> active value
+
+    async function loadAlerts() {
+        for (const alert of await storage.loadCollection('alerts')) {
+            alerts.set(alert.id, alert);
+        }
+        Logger.info('ALERT', 'Alerts loaded', { count: alerts.size });
+    }
+
+    async function saveAlerts() {
+        // Keep open alerts and the most recent acknowledged ones
+        if (alerts.size > ALERT_HISTORY_LIMIT) {
+            for (const [id, alert] of alerts.entries()) {
+                if (alerts.size <= ALERT_HISTORY_LIMIT) break;
+                if (alert.status === 'acknowledged') alerts.delete(id);
+            }
+        }
+        await storage.saveCollection('alerts', Array.from(alerts.values()));
+    }
+
+    // Registry threshold for the device, else the configured default
+    function alertThreshold(imei, field, fallback) {
+        const device = deviceRegistry.get(imei);
+        return (device && device[field]) || fallback;
+    }
+
+    // Records a reported condition (a truthy value while active) and says whether it just started
+    // or changed value; repeats of an active condition return false
+    function conditionStarted(imei, name, value) {
+        if (!alertConditions.has(imei)) alertConditions.set(imei, new Map());
+        const conditions = alertConditions.get(imei);
+        const previous = conditions.get(name);
+        if (value) conditions.set(name, value);
+        else conditions.delete(name);
+        return Boolean(value) && value !== previous;
+    }
+
+    async function evaluateAlertRules(previous, trackerData, message) {
+        if (trackerData.source !== 'device') return;
+
+        const { imei } = trackerData;
+        const raised = [];
+        const raise = (rule, severity, key, text, details = {}) => raised.push({ rule, severity, key, message: text, details });
+
+        // Overspeed
+        if (typeof message.speed === 'number') {
+            const limit = alertThreshold(imei, 'speedLimit', config.alertSpeedLimit);
+            if (conditionStarted(imei, 'overspeed', message.speed > limit)) {
+                raise('overspeed', 'warning', 'overspeed', `Speed ${message.speed} km/h exceeds limit ${limit} km/h`, { speed: message.speed, limit });
+            }
+        }
+
+        // Ignition on/off
+        if (typeof message.acc === 'boolean' && previous && typeof previous.acc === 'boolean' && previous.acc !== message.acc) {
+            raise('ignition', 'info', message.acc ? 'on' : 'off', `Ignition ${message.acc ? 'on' : 'off'}`, { acc: message.acc });
+        }
+
+        // Idling: ACC on while stationary
+        const acc = typeof message.acc === 'boolean' ? message.acc : trackerData.acc;
+        if (acc === true && typeof message.speed === 'number') {
+            if (message.speed > 0) {
+                idleTracking.delete(imei);
+            } else {
+                const idle = idleTracking.get(imei) || { since: Date.now(), alerted: false };
+                idleTracking.set(imei, idle);
+                const idleMinutes = (Date.now() - idle.since) / 60000;
+                if (!idle.alerted && idleMinutes >= alertThreshold(imei, 'idleMinutes', config.alertIdleMinutes)) {
+                    idle.alerted = true;
+                    raise('idling', 'warning', 'idling', `Idling with ignition on for ${Math.round(idleMinutes)} min`, { idleMinutes: Math.round(idleMinutes) });
+                }
+            }
+        } else if (acc === false) {
+            idleTracking.delete(imei);
+        }
+
+        // Low voltage
+        if (typeof message.externalVoltage === 'number') {
+            const threshold = alertThreshold(imei, 'lowVoltage', config.alertLowVoltage);
+            if (conditionStarted(imei, 'low_voltage_external', message.externalVoltage < threshold)) {
+                raise('low_voltage', 'warning', 'external', `External voltage ${message.externalVoltage} V below ${threshold} V`, { externalVoltage: message.externalVoltage, threshold });
+            }
+        }
+        if (typeof message.voltageLevel === 'number' && conditionStarted(imei, 'low_voltage_battery', message.voltageLevel <= 1)) {
+            raise('low_voltage', 'warning', 'battery', `Battery level ${message.voltage || message.voltageLevel}`, { voltageLevel: message.voltageLevel });
+        }
+
+        // SOS and device alarms. Alarm packets are events; the terminal info alarm is a state that
+        // heartbeats repeat, so only a change to a new alarm state raises.
+        const terminalAlarmStarted = typeof message.terminalAlarm === 'string'
+            && conditionStarted(imei, 'terminal_alarm', message.terminalAlarm !== 'normal' && message.terminalAlarm);
+        if (message.packetType === 'alarm' && message.alarmType && message.alarmType !== 'normal') {
+            const severity = CRITICAL_ALARMS.has(message.alarmType) ? 'critical' : 'warning';
+            raise('alarm', severity, message.alarmType, `Device alarm: ${message.alarmType.replace(/_/g, ' ')}`, { alarmType: message.alarmType });
+        } else if (terminalAlarmStarted) {
+            const severity = CRITICAL_ALARMS.has(message.terminalAlarm) ? 'critical' : 'warning';
+            raise('alarm', severity, message.terminalAlarm, `Device alarm: ${message.terminalAlarm.replace(/_/g, ' ')}`, { alarmType: message.terminalAlarm });
+        }
+
+        for (const candidate of raised) {
+            await raiseAlert(trackerData, candidate);
+        }
+    }
+
+    async function raiseAlert(trackerData, { rule, severity, key, message, details }) {
+        const now = new Date();
+        const duplicate = Array.from(alerts.values()).find(alert =>
+            alert.imei === trackerData.imei && alert.rule === rule && alert.key === key
+            && alert.status === 'open' && now - new Date(alert.lastTriggeredAt) < ALERT_DEDUP_WINDOW_MS);
+
+        if (duplicate) {
+            duplicate.count++;
+            duplicate.lastTriggeredAt = now.toISOString();
+            Logger.debug('ALERT', 'Duplicate alert suppressed', { id: duplicate.id, imei: trackerData.imei, rule, count: duplicate.count });
+            return duplicate;
+        }
+
+        const alert = {
+            id: crypto.randomUUID(),
+            imei: trackerData.imei,
+            rule,
+            key,
+            severity,
+            message,
+            details,
+            lat: trackerData.lat ?? null,
+            lon: trackerData.lon ?? null,
+            datetime: trackerData.datetime ?? null,
+            status: 'open',
+            count: 1,
+            createdAt: now.toISOString(),
+            lastTriggeredAt: now.toISOString(),
+            acknowledgedAt: null,
+            acknowledgedBy: null
+        };
+        alerts.set(alert.id, alert);
+
+        const log = { critical: Logger.error, warning: Logger.warn }[severity] || Logger.info;
+        log.call(Logger, 'ALERT', `Alert raised: ${message}`, { id: alert.id, imei: alert.imei, rule, severity });
+
+        try {
+            await saveAlerts();
+            await storage.appendEvent({ type: 'alert', imei: alert.imei, alertId: alert.id, rule, severity, message, time: alert.createdAt });
+        } catch (error) {
+            Logger.error('ALERT', 'Failed to persist alert', { id: alert.id, error: error.message });
+        }
+
+        broadcastMessage({ type: 'alert', data: withDeviceMetadata(alert) });
+        publishEvent('alert', alert.imei, withDeviceMetadata(alert));
+        return alert;
+    }
+
+    async function acknowledgeAlert(id, acknowledgedBy) {
+        const alert = alerts.get(id);
+        if (!alert) throw new HttpError(404, `Unknown alert ${id}`);
+        if (alert.status === 'acknowledged') return alert;
+
+        alert.status = 'acknowledged';
+        alert.acknowledgedAt = new Date().toISOString();
+        alert.acknowledgedBy = acknowledgedBy || null;
+        Logger.info('ALERT', 'Alert acknowledged', { id, imei: alert.imei, acknowledgedBy: alert.acknowledgedBy });
+
+        await saveAlerts();
+        await storage.appendEvent({ type: 'alert_ack', imei: alert.imei, alertId: id, acknowledgedBy: alert.acknowledgedBy, time: alert.acknowledgedAt });
+        broadcastMessage({ type: 'alert', data: withDeviceMetadata(alert) });
+        return alert;
+    }
+
+    // --- 7. OUTBOUND INTEGRATIONS ---
+    //
+    // Device positions and events are pushed to other systems through webhooks and, optionally, MQTT.
+    //
+    // Webhook: { id, name, url, secret, events: ['position', 'state', 'geofence', 'alert'] (empty = all),
+    //            imeis: [...] (empty = every tracker), enabled }
+    // Each delivery is a JSON POST signed with HMAC-SHA256 over "<timestamp>.<body>":
+    //   X-Webhook-Signature: sha256=<hex>, X-Webhook-Timestamp: <unix seconds>, X-Webhook-Event: <type>
+    // Failed deliveries are retried with exponential backoff; after WEBHOOK_MAX_ATTEMPTS the delivery
+    // is written to the event log as 'webhook_dead_letter' (GET /api/webhooks/dead-letters).
+    //
+    // MQTT (MQTT_URL=mqtt://host:1883) publishes QoS 0 messages to <MQTT_TOPIC_PREFIX>/<imei>/<type>,
+    // e.g. gps/868022038531724/position.
+
+    const WEBHOOK_MAX_ATTEMPTS = 6;
+    const WEBHOOK_RETRY_BASE_MS = 1000;
+    const WEBHOOK_RETRY_MAX_MS = 5 * 60 * 1000;
+    const WEBHOOK_TIMEOUT_MS = 10000;
+    const WEBHOOK_EVENT_TYPES = ['position', 'state', 'geofence', 'alert'];
+    const ADMIN_EVENT_TYPES = ['webhook_dead_letter']; // Event log entries hidden from viewers
+
+    // Webhook targets in these ranges could reach services behind the firewall (or cloud metadata)
+    const INTERNAL_ADDRESSES = new net.BlockList();
+    [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+        ['172.16.0.0', 12], ['192.168.0.0', 16]].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+    [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+    function isInternalAddress(address) {
+        const ipv4 = address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, ''); // IPv4-mapped IPv6
+        return net.isIPv4(ipv4) ? INTERNAL_ADDRESSES.check(ipv4, 'ipv4') : INTERNAL_ADDRESSES.check(address, 'ipv6');
+    }
+
+    function webhookHostname(url) {
+        return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    }
+
+    function isAllowlistedWebhookHost(hostname) {
+        return config.webhookAllowedHosts.some(entry => {
+            const allowed = entry.toLowerCase();
+            return allowed.startsWith('*.') ? hostname.endsWith(allowed.slice(1)) : hostname === allowed;
+        });
+    }
+
+    // Registration-time check; names that resolve to internal addresses are refused when a
+    // delivery connects (see webhookLookup)
+    function checkWebhookTarget(url) {
+        const hostname = webhookHostname(url);
+        if (isAllowlistedWebhookHost(hostname)) return;
+        if (config.webhookAllowedHosts.length > 0) {
+            throw new HttpError(400, `url host ${hostname} is not in WEBHOOK_ALLOWED_HOSTS`);
+        }
+        if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isInternalAddress(hostname))) {
+            throw new HttpError(400, `url must not target an internal address (${hostname}); add it to WEBHOOK_ALLOWED_HOSTS to allow it`);
+        }
+    }
+
+    // Delivery-time check. Returns the DNS lookup for the connection to use: checking a name
+    // and then letting the connection resolve it again would let DNS rebinding swap in an
+    // internal address, so the connection is made to the very address that was checked.
+    function webhookLookup(url) {
+        const hostname = webhookHostname(url);
+        if (isAllowlistedWebhookHost(hostname)) return dns.lookup;
+        if (config.webhookAllowedHosts.length > 0) throw new Error(`Host ${hostname} is no longer in WEBHOOK_ALLOWED_HOSTS`);
+        if (net.isIP(hostname) && isInternalAddress(hostname)) throw new Error(`Host ${hostname} is an internal address`);
+        return lookupPublicAddress;
+    }
+
+    // dns.lookup signature, failing when any address the name resolves to is internal
+    function lookupPublicAddress(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+            const internal = addresses.find(({ address }) => isInternalAddress(address));
+            if (internal) return callback(new Error(`Host ${hostname} resolves to internal address ${internal.address}`));
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    // POSTs one delivery and resolves with the response status. Redirects are not followed:
+    // one could lead to an internal address.
+    function postWebhook(url, headers, body) {
+        const client = url.protocol === 'https:' ? https : http;
+        const lookup = webhookLookup(url);
+
+        return new Promise((resolve, reject) => {
+            const request = client.request(url, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup
+            }, response => {
+                response.resume(); // Drain, the body is not used
+                response.on('end', () => resolve(response.statusCode));
+                response.on('error', reject);
+            });
+            const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS}ms`)), WEBHOOK_TIMEOUT_MS);
+            request.on('close', () => clearTimeout(timer));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    const webhooks = new Map(); // Key: webhook id, Value: webhook
+    const webhookStats = new Map(); // Key: webhook id, Value: { delivered, failed, deadLettered, pending, lastError }
+    const webhookRetryTimers = new Map(); // Key: scheduled retry timer, Value: webhook id; cleared by stop()
+
+    // Returns a normalized webhook or throws HttpError(400)
+    function validateWebhook(input, id, existing) {
+        if (!input || typeof input !== 'object') throw new HttpError(400, 'Webhook must be a JSON object');
+
+        let url;
+        try {
+            url = new URL(input.url);
+        } catch {
+            throw new HttpError(400, 'url must be an absolute http(s) URL');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new HttpError(400, 'url must be an absolute http(s) URL');
+        checkWebhookTarget(url);
+
+        const events = Array.isArray(input.events) ? input.events : [];
+        const unknown = events.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+        if (unknown.length > 0) throw new HttpError(400, `Unknown event types: ${unknown.join(', ')} (expected ${WEBHOOK_EVENT_TYPES.join(', ')})`);
+
+        // Keep the stored secret when an update leaves it out
+        const secret = input.secret ?? (existing && existing.secret);
+        if (typeof secret !== 'string' || secret.length < 16) throw new HttpError(400, 'secret must be a string of at least 16 characters');
+        if (input.enabled !== undefined && typeof input.enabled !== 'boolean') throw new HttpError(400, 'enabled must be a boolean');
+
+        return {
+            id,
+            name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : url.host,
+            url: url.toString(),
+            secret,
+            events,
+            imeis: Array.isArray(input.imeis) ? input.imeis.map(String) : [],
+            enabled: input.enabled ?? true
+        };
+    }
+
+    // Secrets are write-only over the API
+    function serializeWebhook(webhook) {
+        const { secret, ...rest } = webhook;
+        return { ...rest, stats: getWebhookStats(webhook.id) };
+    }
+
+    function getWebhookStats(id) {
+        if (!webhookStats.has(id)) {
+            webhookStats.set(id, { delivered: 0, failed: 0, deadLettered: 0, pending: 0, lastError: null });
+        }
+        return webhookStats.get(id);
+    }
+
+    async function loadWebhooks() {
+        for (const webhook of await storage.loadCollection('webhooks')) {
+            webhooks.set(webhook.id, webhook);
+        }
+        Logger.info('WEBHOOK', 'Webhooks loaded', { count: webhooks.size });
+    }
+
+    async function saveWebhooks() {
+        await storage.saveCollection('webhooks', Array.from(webhooks.values()));
+    }
+
+    function signWebhookPayload(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    // Fan an event out to every integration. type is one of WEBHOOK_EVENT_TYPES.
+    function publishEvent(type, imei, data) {
+        const event = { id: crypto.randomUUID(), type, imei, time: new Date().toISOString(), data };
+
+        for (const webhook of webhooks.values()) {
+            if (!webhook.enabled) continue;
+            if (webhook.events.length > 0 && !webhook.events.includes(type)) continue;
+            if (webhook.imeis.length > 0 && !webhook.imeis.includes(imei)) continue;
+            getWebhookStats(webhook.id).pending++;
+            deliverWebhook(webhook, event, 1);
+        }
+
+        mqttPublisher.publish(`${config.mqttTopicPrefix}/${imei}/${type}`, JSON.stringify(event));
+    }
+
+    async function deliverWebhook(webhook, event, attempt) {
+        const stats = getWebhookStats(webhook.id);
+        const body = JSON.stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        let error;
+
+        try {
+            const status = await postWebhook(new URL(webhook.url), {
+                'Content-Type': 'application/json',
+                'User-Agent': 'gps-tracker-server',
+                'X-Webhook-Id': event.id,
+                'X-Webhook-Event': event.type,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+            }, body);
+            if (status >= 200 && status < 300) {
+                stats.pending--;
+                stats.delivered++;
+                Logger.debug('WEBHOOK', 'Delivered', { webhook: webhook.id, event: event.id, type: event.type, attempt });
+                return;
+            }
+            error = `HTTP ${status}`;
+        } catch (err) {
+            error = err.message;
+        }
+
+        stats.failed++;
+        stats.lastError = error;
+
+        if (!webhooks.has(webhook.id)) {
+            stats.pending--;
+            return; // Deleted while retrying
+        }
+
+        if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+            const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), WEBHOOK_RETRY_MAX_MS);
+            const jitter = Math.floor(Math.random() * delay * 0.2);
+            Logger.warn('WEBHOOK', 'Delivery failed, retrying', { webhook: webhook.id, event: event.id, attempt, error, retryInMs: delay + jitter });
+            const timer = setTimeout(() => {
+                webhookRetryTimers.delete(timer);
+                deliverWebhook(webhook, event, attempt + 1);
+            }, delay + jitter);
+            timer.unref();
+            webhookRetryTimers.set(timer, webhook.id);
+            return;
+        }
+
+        stats.pending--;
+        stats.deadLettered++;
+        Logger.error('WEBHOOK', 'Delivery abandoned, moved to dead-letter log', { webhook: webhook.id, event: event.id, attempts: attempt, error });
+        try {
+            await storage.appendEvent({
+                type: 'webhook_dead_letter',
+                imei: event.imei,
+                webhookId: webhook.id,
+                url: webhook.url,
+                attempts: attempt,
+                error,
+                event,
+                time: new Date().toISOString()
+            });
+        } catch (err) {
+            Logger.error('WEBHOOK', 'Failed to write dead letter', { webhook: webhook.id, event: event.id, error: err.message });
+        }
+    }
+
+    const mqttPublisher = new MqttPublisher(config.mqttUrl, Logger);
+
+    // --- 8. TRIPS AND STOPS ---
+    //
+    // Derived on request from stored fixes by detectTrips() (lib/trips.js), see the trips route.
+
+    // --- 9. METRICS ---
+    //
+    // Prometheus text exposition (GET /metrics). Counters and histograms are updated where the events
+    // happen; gauges (sockets, clients, queue depth) are read from live state at scrape time.
+    // Latency is split in two legs: device GPS time -> server receipt, and server receipt -> WebSocket
+    // broadcast.
+
+    const METRICS_PREFIX = 'gps_tracker';
+    const LATENCY_BUCKETS_SECONDS = [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300, 900];
+
+    const metrics = new MetricsRegistry(METRICS_PREFIX);
+
+    metrics.defineCounter('tcp_connections_total', 'Device TCP connections accepted');
+    metrics.defineCounter('packets_total', 'Device packets decoded, by protocol, packet type and protocol number');
+    metrics.defineCounter('parse_failures_total', 'Frames that could not be parsed');
+    metrics.defineCounter('crc_failures_total', 'Frames rejected because the error check did not match');
+    metrics.defineCounter('discarded_bytes_total', 'Bytes skipped while resynchronizing on frame boundaries');
+    metrics.defineCounter('acks_sent_total', 'Acknowledgements written back to devices');
+    metrics.defineCounter('queue_dropped_total', 'Queued device messages dropped because the per-IMEI queue was full');
+    metrics.defineCounter('broadcasts_total', 'Tracker updates fanned out to WebSocket clients');
+    metrics.defineHistogram('device_to_server_latency_seconds', 'Time from the GPS timestamp in the payload to server receipt', LATENCY_BUCKETS_SECONDS);
+    metrics.defineHistogram('server_to_broadcast_latency_seconds', 'Time from server receipt to WebSocket broadcast', LATENCY_BUCKETS_SECONDS);
+
+    function recordPacketMetrics(protocol, packet) {
+        const number = typeof packet.protocol === 'number' ? `0x${packet.protocol.toString(16).padStart(2, '0')}` : '';
+        metrics.incrementCounter('packets_total', { protocol, type: packet.type, number });
+        if (packet.type === 'crc_error') metrics.incrementCounter('crc_failures_total', { protocol });
+        if (packet.type === 'invalid' || packet.type === 'unknown') metrics.incrementCounter('parse_failures_total', { protocol, reason: packet.type });
+    }
+
+    function recordBroadcastLatency(data) {
+        const now = Date.now();
+        const received = data.receivedTime ? new Date(data.receivedTime).getTime() : null;
+        const labels = { source: data.source || 'device' };
+        if (received && data.datetime) {
+            metrics.observeHistogram('device_to_server_latency_seconds', labels, (received - new Date(data.datetime).getTime()) / 1000);
+        }
+        if (received) {
+            metrics.observeHistogram('server_to_broadcast_latency_seconds', labels, (now - received) / 1000);
+        }
+    }
+
+    // Values read from live state at scrape time, ahead of the registry's counters and histograms
+    function writeLiveMetrics(metric, sample) {
+        metric('up_seconds', 'gauge', 'Seconds since the server started');
+        sample('up_seconds', {}, Math.round((Date.now() - serverStartedAt.getTime()) / 1000));
+
+        metric('device_sockets', 'gauge', 'Logged-in device TCP sessions');
+        sample('device_sockets', {}, deviceSockets.size);
+
+        metric('trackers', 'gauge', 'Known trackers by connection state');
+        const byStatus = {};
+        for (const tracker of trackers.values()) {
+            const status = tracker.status || 'unknown';
+            byStatus[status] = (byStatus[status] || 0) + 1;
+        }
+        for (const [status, count] of Object.entries(byStatus)) sample('trackers', { status }, count);
+
+        metric('websocket_clients', 'gauge', 'Connected WebSocket clients by role');
+        const byRole = { viewer: 0, injector: 0 };
+        wss.clients.forEach(client => { byRole[client.role] = (byRole[client.role] || 0) + 1; });
+        for (const [role, count] of Object.entries(byRole)) sample('websocket_clients', { role }, count);
+
+        metric('websocket_pending_updates', 'gauge', 'Coalesced updates waiting for slow WebSocket clients');
+        let pendingUpdates = 0;
+        wss.clients.forEach(client => { pendingUpdates += client.pendingUpdates ? client.pendingUpdates.size : 0; });
+        sample('websocket_pending_updates', {}, pendingUpdates);
+
+        // Totals only: per-IMEI series would publish the fleet's device list on an open endpoint
+        // and grow with every device ever seen (GET /api/trackers has the per-device view)
+        let queued = 0;
+        let deepest = 0;
+        for (const queue of messageQueues.values()) {
+            queued += queue.length;
+            deepest = Math.max(deepest, queue.length);
+        }
+        metric('queue_depth', 'gauge', 'Device messages waiting in the per-IMEI queues');
+        sample('queue_depth', {}, queued);
+        metric('queue_depth_max', 'gauge', 'Deepest per-IMEI message queue');
+        sample('queue_depth_max', {}, deepest);
+
+        metric('messages_total', 'counter', 'Device messages enqueued');
+        let messages = 0;
+        for (const count of messageCounters.values()) messages += count;
+        sample('messages_total', {}, messages);
+    }
+
+    // --- 10. HTTP AND WEBSOCKET SERVER ---
+
+    let serverStartedAt = new Date(); // Reset by start()
+    let serverReady = false; // Set once start() has bound every listener
+
+    class HttpError extends Error {
+        constructor(statusCode, message) {
+            super(message);
+            this.statusCode = statusCode;
+        }
+    }
+
+    function sendJson(res, statusCode, body, headers = {}) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    // Route table: method, path pattern with :params, async handler(req, res, { params, query })
+    const routes = [];
+
+    // `role` is who may call the route: 'public', 'viewer' or 'admin'. Anything that changes
+    // state defaults to 'admin' and reads under /api/ to 'viewer' (open while WS_VIEWER_TOKENS
+    // is empty), so a new route is never left open by accident.
+    function route(method, pattern, handler, { role = defaultRouteRole(method, pattern) } = {}) {
+        const keys = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        }) + '/?$');
+        routes.push({ method, regex, keys, handler, role });
+    }
+
+    function defaultRouteRole(method, pattern) {
+        if (method !== 'GET') return 'admin';
+        return pattern.startsWith('/api/') ? 'viewer' : 'public';
+    }
+
+    // Throws 401/403 unless the request's token grants `role`
+    function authorizeRequest(req, role) {
+        if (role === 'public') return;
+        const token = extractRequestToken(req);
+        const granted = resolveTokenRole(token);
+        if (role === 'admin' ? granted === 'admin' : granted !== null) return;
+        if (role === 'admin' && config.apiAdminTokens.length === 0) {
+            throw new HttpError(403, 'Admin API disabled, set API_ADMIN_TOKENS to enable it');
+        }
+        throw new HttpError(token ? 403 : 401, token ? 'Token does not grant access to this route' : 'Authentication required');
+    }
+
+    // Parses an ISO 8601 string or epoch milliseconds; undefined when absent
+    function parseTimeParam(query, name) {
+        const value = query.get(name);
+        if (value === null || value === '') return undefined;
+        const date = /^\d+$/.test(value) ? new Date(parseInt(value, 10)) : new Date(value);
+        if (isNaN(date.getTime())) throw new HttpError(400, `Invalid "${name}" time: ${value}`);
+        return date;
+    }
+
+    function parseIntParam(query, name, defaultValue, { min = 0, max = Infinity } = {}) {
+        const value = query.get(name);
+        if (value === null || value === '') return defaultValue;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new HttpError(400, `"${name}" must be an integer between ${min} and ${max}`);
+        }
+        return number;
+    }
+
+    const MAX_JSON_BODY = 1024 * 1024;
+
+    function readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_JSON_BODY) {
+                    reject(new HttpError(413, 'Request body too large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                if (size === 0) {
+                    resolve({});
+                    return;
+                }
+                let body;
+                try {
+                    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (err) {
+                    reject(new HttpError(400, 'Request body is not valid JSON'));
+                    return;
+                }
+                // Every route takes an object; null or an array would fail on the first property read
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    reject(new HttpError(400, 'Request body must be a JSON object'));
+                    return;
+                }
+                resolve(body);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    function getTrackerOr404(imei) {
+        const tracker = trackers.get(imei);
+        if (!tracker) throw new HttpError(404, `Unknown tracker ${imei}`);
+        return tracker;
+    }
+
+    route('GET', '/', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(getHtmlContent());
+        Logger.debug('HTTP', 'Served embedded HTML content');
+    });
+
+    route('GET', '/index.html', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(getHtmlContent());
+    });
+
+    route('GET', '/simulator', async (req, res) => {
+        const filePath = path.join(__dirname, '..', 'index.html');
+        const data = await fs.promises.readFile(filePath);
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(data);
+        Logger.debug('HTTP', 'Served index.html file', { filePath });
+    });
+
+    // Liveness: the process is up and the event loop answers
+    route('GET', '/healthz', (req, res) => {
+        sendJson(res, 200, { status: 'ok' });
+    });
+
+    // Readiness: storage loaded and every listener bound; goes false again while shutting down
+    route('GET', '/readyz', (req, res) => {
+        sendJson(res, serverReady ? 200 : 503, { status: serverReady ? 'ready' : 'not_ready' });
+    });
+
+    route('GET', '/metrics', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(metrics.render(writeLiveMetrics));
+    });
+
+    route('GET', '/api/health', (req, res) => {
+        sendJson(res, 200, {
+            status: 'ok',
+            startedAt: serverStartedAt.toISOString(),
+            uptimeSeconds: Math.round((Date.now() - serverStartedAt.getTime()) / 1000),
+            trackers: trackers.size,
+            onlineTrackers: Array.from(trackers.values()).filter(t => t.status !== 'offline').length,
+            webClients: wss.clients.size,
+            storage: config.storageBackend,
+            crcErrors: protocolStats.crcErrors
+        });
+    });
+
+    // Effective configuration, secrets redacted
+    route('GET', '/api/config', (req, res) => {
+        const redacted = { ...config };
+        redacted.wsViewerTokens = `${config.wsViewerTokens.length} configured`;
+        redacted.wsInjectorTokens = `${config.wsInjectorTokens.length} configured`;
+        redacted.apiAdminTokens = `${config.apiAdminTokens.length} configured`;
+        if (config.mqttUrl) {
+            const mqttUrl = new URL(config.mqttUrl);
+            if (mqttUrl.password) mqttUrl.password = '***';
+            redacted.mqttUrl = mqttUrl.toString();
+        }
+        sendJson(res, 200, redacted);
+    }, { role: 'admin' });
+
+    route('GET', '/api/trackers', (req, res) => {
+        sendJson(res, 200, getTrackerStats());
+    });
+
+    route('GET', '/api/trackers/:imei', (req, res, { params }) => {
+        sendJson(res, 200, withDeviceMetadata(getTrackerOr404(params.imei)));
+    });
+
+    route('GET', '/api/trackers/:imei/history', async (req, res, { params, query }) => {
+        const from = parseTimeParam(query, 'from');
+        const to = parseTimeParam(query, 'to');
+        const limit = parseIntParam(query, 'limit', 100, { min: 1, max: 1000 });
+        const offset = parseIntParam(query, 'offset', 0);
+        if (from && to && from > to) throw new HttpError(400, '"from" must be before "to"');
+
+        const { total, positions } = await storage.queryHistory(params.imei, { from, to, limit, offset });
+        sendJson(res, 200, {
+            imei: params.imei,
+            from: from ? from.toISOString() : null,
+            to: to ? to.toISOString() : null,
+            total,
+            limit,
+            offset,
+            nextOffset: offset + positions.length < total ? offset + positions.length : null,
+            positions
+        });
+    });
+
+    route('GET', '/api/trackers/:imei/export', async (req, res, { params, query }) => {
+        const format = (query.get('format') || 'geojson').toLowerCase();
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter) {
+            throw new HttpError(400, `Unsupported format "${format}", expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const from = parseTimeParam(query, 'from');
+        const to = parseTimeParam(query, 'to');
+        if (from && to && from > to) throw new HttpError(400, '"from" must be before "to"');
+
+        const { total, positions } = await storage.queryHistory(params.imei, { from, to, limit: EXPORT_MAX_POSITIONS });
+        const filename = `${params.imei.replace(/[^0-9A-Za-z_-]/g, '')}-${from ? from.toISOString().slice(0, 10) : 'all'}.${format}`;
+
+        res.writeHead(200, {
+            'Content-Type': exporter.contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'X-Total-Positions': total,
+            'X-Exported-Positions': positions.length
+        });
+        res.end(exporter.render(params.imei, positions));
+        Logger.info('HTTP', 'History exported', { imei: params.imei, format, positions: positions.length, total });
+    });
+
+    route('GET', '/api/trackers/:imei/trips', async (req, res, { params, query }) => {
+        getTrackerOr404(params.imei);
+        // Default to the last 24 hours so an unbounded history is never scanned by accident
+        const to = parseTimeParam(query, 'to') || new Date();
+        const from = parseTimeParam(query, 'from') || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+        if (from > to) throw new HttpError(400, '"from" must be before "to"');
+
+        const { total, positions } = await storage.queryHistory(params.imei, { from, to, limit: EXPORT_MAX_POSITIONS });
+        const { trips, stops } = detectTrips(positions);
+        sendJson(res, 200, {
+            imei: params.imei,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            positions: positions.length,
+            truncated: total > positions.length,
+            totals: {
+                trips: trips.length,
+                distanceMeters: trips.reduce((sum, trip) => sum + trip.distanceMeters, 0),
+                movingSeconds: trips.reduce((sum, trip) => sum + trip.movingSeconds, 0),
+                idleSeconds: trips.reduce((sum, trip) => sum + trip.idleSeconds, 0)
+            },
+            trips,
+            stops
+        });
+    });
+
+    route('GET', '/api/events', async (req, res, { query }) => {
+        const from = parseTimeParam(query, 'from');
+        const to = parseTimeParam(query, 'to');
+        const limit = parseIntParam(query, 'limit', 100, { min: 1, max: 1000 });
+        const offset = parseIntParam(query, 'offset', 0);
+        const imei = query.get('imei') || undefined;
+        const type = query.get('type') || undefined;
+
+        // Dead letters carry webhook URLs and whole payloads: admins read them here or
+        // under /api/webhooks/dead-letters, viewers never see them
+        const admin = resolveTokenRole(extractRequestToken(req)) === 'admin';
+        if (!admin && ADMIN_EVENT_TYPES.includes(type)) throw new HttpError(403, `Events of type ${type} need an admin token`);
+        const excludeTypes = admin ? [] : ADMIN_EVENT_TYPES;
+
+        const { total, events } = await storage.queryEvents({ imei, type, excludeTypes, from, to, limit, offset });
+        sendJson(res, 200, {
+            total,
+            limit,
+            offset,
+            nextOffset: offset + events.length < total ? offset + events.length : null,
+            events
+        });
+    });
+
+    route('POST', '/api/trackers/:imei/commands', async (req, res, { params }) => {
+        const body = await readJsonBody(req);
+        const command = createCommand(params.imei, body.command);
+        sendJson(res, 202, serializeCommand(command));
+    });
+
+    route('GET', '/api/trackers/:imei/commands', (req, res, { params }) => {
+        const list = Array.from(commands.values())
+            .filter(command => command.imei === params.imei)
+            .map(serializeCommand);
+        sendJson(res, 200, list);
+    });
+
+    route('GET', '/api/commands/:id', (req, res, { params }) => {
+        const command = commands.get(params.id);
+        if (!command) throw new HttpError(404, `Unknown command ${params.id}`);
+        sendJson(res, 200, serializeCommand(command));
+    });
+
+    route('GET', '/api/devices', (req, res) => {
+        sendJson(res, 200, Array.from(deviceRegistry.values()));
+    });
+
+    route('POST', '/api/devices', async (req, res) => {
+        const body = await readJsonBody(req);
+        const device = validateDevice(body, body.imei);
+        if (deviceRegistry.has(device.imei)) throw new HttpError(409, `Device ${device.imei} already registered`);
+        deviceRegistry.set(device.imei, device);
+        quarantinedDevices.delete(device.imei);
+        await saveDeviceRegistry();
+        Logger.info('REGISTRY', 'Device registered', { imei: device.imei, displayName: device.displayName });
+        sendJson(res, 201, device);
+    });
+
+    // Registered before /api/devices/:imei so "quarantine" is not taken for an IMEI
+    route('GET', '/api/devices/quarantine', (req, res) => {
+        pruneQuarantine();
+        sendJson(res, 200, Array.from(quarantinedDevices.values()));
+    }, { role: 'admin' });
+
+    route('GET', '/api/devices/:imei', (req, res, { params }) => {
+        const device = deviceRegistry.get(params.imei);
+        if (!device) throw new HttpError(404, `Unknown device ${params.imei}`);
+        sendJson(res, 200, device);
+    });
+
+    route('PUT', '/api/devices/:imei', async (req, res, { params }) => {
+        if (!deviceRegistry.has(params.imei)) throw new HttpError(404, `Unknown device ${params.imei}`);
+        const device = validateDevice(await readJsonBody(req), params.imei);
+        deviceRegistry.set(device.imei, device);
+        await saveDeviceRegistry();
+        Logger.info('REGISTRY', 'Device updated', { imei: device.imei, enabled: device.enabled });
+
+        // Disabling a device drops its live connection
+        const socket = deviceSockets.get(device.imei);
+        if (!device.enabled && socket) socket.destroy();
+
+        sendJson(res, 200, device);
+    });
+
+    route('DELETE', '/api/devices/:imei', async (req, res, { params }) => {
+        if (!deviceRegistry.delete(params.imei)) throw new HttpError(404, `Unknown device ${params.imei}`);
+        await saveDeviceRegistry();
+        Logger.info('REGISTRY', 'Device removed', { imei: params.imei });
+        res.writeHead(204);
+        res.end();
+    });
+
+    route('GET', '/api/alerts', (req, res, { query }) => {
+        const imei = query.get('imei');
+        const status = query.get('status');
+        const severity = query.get('severity');
+        const list = Array.from(alerts.values())
+            .filter(alert => (!imei || alert.imei === imei) && (!status || alert.status === status) && (!severity || alert.severity === severity))
+            .sort((a, b) => b.lastTriggeredAt.localeCompare(a.lastTriggeredAt))
+            .map(withDeviceMetadata);
+        sendJson(res, 200, list);
+    });
+
+    route('GET', '/api/alerts/:id', (req, res, { params }) => {
+        const alert = alerts.get(params.id);
+        if (!alert) throw new HttpError(404, `Unknown alert ${params.id}`);
+        sendJson(res, 200, withDeviceMetadata(alert));
+    });
+
+    route('POST', '/api/alerts/:id/ack', async (req, res, { params }) => {
+        const body = await readJsonBody(req);
+        const alert = await acknowledgeAlert(params.id, typeof body.by === 'string' ? body.by : null);
+        sendJson(res, 200, withDeviceMetadata(alert));
+    });
+
+    route('GET', '/api/ws/clients', (req, res) => {
+        sendJson(res, 200, getWebClientStats());
+    });
+
+    route('GET', '/api/webhooks', (req, res) => {
+        sendJson(res, 200, Array.from(webhooks.values()).map(serializeWebhook));
+    }, { role: 'admin' });
+
+    route('POST', '/api/webhooks', async (req, res) => {
+        const webhook = validateWebhook(await readJsonBody(req), crypto.randomUUID());
+        webhooks.set(webhook.id, webhook);
+        await saveWebhooks();
+        Logger.info('WEBHOOK', 'Webhook created', { id: webhook.id, url: webhook.url, events: webhook.events });
+        sendJson(res, 201, serializeWebhook(webhook));
+    });
+
+    route('GET', '/api/webhooks/dead-letters', async (req, res, { query }) => {
+        const result = await storage.queryEvents({
+            type: 'webhook_dead_letter',
+            imei: query.get('imei') || undefined,
+            from: parseTimeParam(query, 'from'),
+            to: parseTimeParam(query, 'to'),
+            limit: parseIntParam(query, 'limit', 100),
+            offset: parseIntParam(query, 'offset', 0)
+        });
+        sendJson(res, 200, result);
+    }, { role: 'admin' });
+
+    route('GET', '/api/webhooks/:id', (req, res, { params }) => {
+        const webhook = webhooks.get(params.id);
+        if (!webhook) throw new HttpError(404, `Unknown webhook ${params.id}`);
+        sendJson(res, 200, serializeWebhook(webhook));
+    }, { role: 'admin' });
+
+    route('PUT', '/api/webhooks/:id', async (req, res, { params }) => {
+        const existing = webhooks.get(params.id);
+        if (!existing) throw new HttpError(404, `Unknown webhook ${params.id}`);
+        const webhook = validateWebhook(await readJsonBody(req), params.id, existing);
+        webhooks.set(webhook.id, webhook);
+        await saveWebhooks();
+        Logger.info('WEBHOOK', 'Webhook updated', { id: webhook.id, url: webhook.url });
+        sendJson(res, 200, serializeWebhook(webhook));
+    });
+
+    route('DELETE', '/api/webhooks/:id', async (req, res, { params }) => {
+        if (!webhooks.delete(params.id)) throw new HttpError(404, `Unknown webhook ${params.id}`);
+        webhookStats.delete(params.id);
+        await saveWebhooks();
+        Logger.info('WEBHOOK', 'Webhook deleted', { id: params.id });
+        res.writeHead(204);
+        res.end();
+    });
+
+    route('GET', '/api/geofences', (req, res) => {
+        sendJson(res, 200, Array.from(geofences.values()));
+    });
+
+    route('POST', '/api/geofences', async (req, res) => {
+        const geofence = validateGeofence(await readJsonBody(req), crypto.randomUUID());
+        geofences.set(geofence.id, geofence);
+        await saveGeofences();
+        Logger.info('GEOFENCE', 'Geofence created', { id: geofence.id, name: geofence.name, type: geofence.type });
+        sendJson(res, 201, geofence);
+    });
+
+    route('GET', '/api/geofences/:id', (req, res, { params }) => {
+        const geofence = geofences.get(params.id);
+        if (!geofence) throw new HttpError(404, `Unknown geofence ${params.id}`);
+        sendJson(res, 200, geofence);
+    });
+
+    route('PUT', '/api/geofences/:id', async (req, res, { params }) => {
+        if (!geofences.has(params.id)) throw new HttpError(404, `Unknown geofence ${params.id}`);
+        const geofence = validateGeofence(await readJsonBody(req), params.id);
+        geofences.set(geofence.id, geofence);
+        removeGeofenceStates(geofence.id); // Shape may have changed; re-learn inside/outside
+        await saveGeofences();
+        Logger.info('GEOFENCE', 'Geofence updated', { id: geofence.id, name: geofence.name });
+        sendJson(res, 200, geofence);
+    });
+
+    route('DELETE', '/api/geofences/:id', async (req, res, { params }) => {
+        if (!geofences.delete(params.id)) throw new HttpError(404, `Unknown geofence ${params.id}`);
+        removeGeofenceStates(params.id);
+        await saveGeofences();
+        Logger.info('GEOFENCE', 'Geofence deleted', { id: params.id });
+        res.writeHead(204);
+        res.end();
+    });
+
+    async function handleHttpRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const pathMatches = routes
+            .map(entry => ({ entry, match: entry.regex.exec(url.pathname) }))
+            .filter(({ match }) => match);
+
+        if (pathMatches.length === 0) {
+            sendJson(res, 404, { error: 'Not Found', path: url.pathname });
+            return;
+        }
+
+        const allowed = pathMatches.map(({ entry }) => entry.method);
+        const matched = pathMatches.find(({ entry }) => entry.method === req.method)
+            || (req.method === 'HEAD' && pathMatches.find(({ entry }) => entry.method === 'GET'));
+        if (!matched) {
+            sendJson(res, 405, { error: 'Method Not Allowed', allowed }, { Allow: allowed.join(', ') });
+            return;
+        }
+
+        try {
+            authorizeRequest(req, matched.entry.role);
+
+            const params = {};
+            matched.entry.keys.forEach((key, i) => {
+                try {
+                    params[key] = decodeURIComponent(matched.match[i + 1]);
+                } catch {
+                    throw new HttpError(400, `Malformed path parameter "${key}"`);
+                }
+            });
+
+            await matched.entry.handler(req, res, { params, query: url.searchParams });
+        } catch (err) {
+            if (err instanceof HttpError) {
+                sendJson(res, err.statusCode, { error: err.message });
+                return;
+            }
+            Logger.error('HTTP', 'Request handler failed', {
+                method: req.method,
+                url: redactedUrl(req),
+                error: err.message,
+                stack: err.stack
+            });
+            if (!res.headersSent) sendJson(res, 500, { error: 'Internal Server Error' });
+            else res.end();
+        }
+    }
+
+    function readTlsOptions() {
+        return { cert: fs.readFileSync(config.tlsCertFile), key: fs.readFileSync(config.tlsKeyFile) };
+    }
+
+    function onHttpRequest(req, res) {
+        Logger.debug('HTTP', 'Request received', {
+            method: req.method,
+            url: redactedUrl(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        handleHttpRequest(req, res).catch(err => {
+            Logger.error('HTTP', 'Unhandled request error', { method: req.method, url: redactedUrl(req), error: err.message });
+            if (!res.headersSent) sendJson(res, 500, { error: 'Internal Server Error' });
+            else res.end();
+        });
+    }
+
+    // HTTPS (and so WSS) when a certificate is configured
+    const httpServer = config.tlsCertFile
+        ? https.createServer(readTlsOptions(), onHttpRequest)
+        : http.createServer(onHttpRequest);
+
+    // Called on SIGHUP; new connections use the renewed certificate, open ones are untouched
+    function reloadTlsCertificates() {
+        try {
+            httpServer.setSecureContext(readTlsOptions());
+            Logger.info('CONFIG', 'TLS certificate reloaded', { certFile: config.tlsCertFile });
+        } catch (err) {
+            Logger.error('CONFIG', 'Failed to reload TLS certificate, keeping the current one', { error: err.message });
+        }
+    }
+
+    function tokensEqual(a, b) {
+        // Compare digests so the comparison time does not depend on where the tokens differ
+        const digestA = crypto.createHash('sha256').update(a).digest();
+        const digestB = crypto.createHash('sha256').update(b).digest();
+        return crypto.timingSafeEqual(digestA, digestB);
+    }
+
+    // Returns 'admin', 'injector', 'viewer' or null for a presented token
+    function resolveTokenRole(token) {
+        if (token && config.apiAdminTokens.some(t => tokensEqual(t, token))) return 'admin';
+        if (token && config.wsInjectorTokens.some(t => tokensEqual(t, token))) return 'injector';
+        if (token && config.wsViewerTokens.some(t => tokensEqual(t, token))) return 'viewer';
+        if (config.wsViewerTokens.length === 0) return 'viewer'; // Anonymous viewing allowed
+        return null;
+    }
+
+    function extractRequestToken(req) {
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+        return new URL(req.url, 'http://localhost').searchParams.get('token');
+    }
+
+    // The request URL for logs: a ?token= value is a credential
+    function redactedUrl(req) {
+        return req.url.replace(/([?&]token=)[^&#]*/g, '$1[redacted]');
+    }
+
+    // Schema for positions pushed by simulator clients
+    function validateInjectedPosition(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object') return { errors: ['data must be an object'] };
+
+        if (typeof data.imei !== 'string' || !/^[0-9A-Za-z_-]{1,32}$/.test(data.imei)) errors.push('imei must be 1-32 alphanumeric characters');
+        if (typeof data.lat !== 'number' || data.lat < -90 || data.lat > 90) errors.push('lat must be a number between -90 and 90');
+        if (typeof data.lon !== 'number' || data.lon < -180 || data.lon > 180) errors.push('lon must be a number between -180 and 180');
+        if (data.speed !== undefined && (typeof data.speed !== 'number' || data.speed < 0)) errors.push('speed must be a non-negative number');
+        if (data.course !== undefined && (typeof data.course !== 'number' || data.course < 0 || data.course > 360)) errors.push('course must be a number between 0 and 360');
+        if (data.datetime !== undefined && isNaN(new Date(data.datetime).getTime())) errors.push('datetime must be a valid date');
+        if (errors.length > 0) return { errors };
+
+        const now = new Date().toISOString();
+        // Only whitelisted fields are kept; anything else the client sent is dropped
+        return {
+            position: {
+                imei: data.imei,
+                lat: data.lat,
+                lon: data.lon,
+                speed: data.speed ?? 0,
+                course: data.course ?? 0,
+                datetime: data.datetime ? new Date(data.datetime).toISOString() : now,
+                lastUpdate: now,
+                receivedTime: now,
+                source: 'simulated'
+            }
+        };
+    }
+
+    function handleInjectedPosition(ws, data) {
+        const { position, errors } = validateInjectedPosition(data);
+        if (errors) {
+            Logger.warn('WebSocket', 'Rejected invalid injected position', { clientId: ws.clientId, errors });
+            ws.send(JSON.stringify({ type: 'error', error: 'invalid_payload', details: errors }));
+            return;
+        }
+
+        // Simulated data may never overwrite a real device's record
+        const existing = trackers.get(position.imei);
+        if (existing && existing.source !== 'simulated') {
+            Logger.warn('WebSocket', 'Rejected injected position for a real device', { clientId: ws.clientId, imei: position.imei });
+            ws.send(JSON.stringify({ type: 'error', error: 'imei_in_use', imei: position.imei }));
+            return;
+        }
+
+        const loggedTime = new Date(); // Time when we're logging this
+        const payloadTime = new Date(position.datetime); // Time from GPS payload
+        const receivedTime = new Date(position.receivedTime); // Time when server received the data
+
+        // Create timestamp table for comparison
+        const timestampTable = createTimestampTable(loggedTime, payloadTime, receivedTime);
+
+        trackers.set(position.imei, position);
+
+        Logger.info('WebSocket', `Simulated tracker data received${timestampTable}`, {
+            imei: position.imei,
+            clientId: ws.clientId
+        });
+
+        broadcastTrackerUpdate(position);
+    }
+
+    let nextWebClientId = 1;
+
+    const wss = new WebSocket.Server({
+        server: httpServer,
+        // Authenticate during the upgrade so unauthorized clients never get a socket
+        verifyClient: (info, callback) => {
+            const role = resolveTokenRole(extractRequestToken(info.req));
+            if (!role) {
+                Logger.warn('WebSocket', 'Rejected unauthenticated upgrade', {
+                    remoteAddress: info.req.socket.remoteAddress,
+                    origin: info.origin
+                });
+                callback(false, 401, 'Unauthorized');
+                return;
+            }
+            info.req.wsRole = role;
+            callback(true);
+        }
+    });
+
+    // ws re-emits the HTTP server's errors; listen() already reports those to start()
+    wss.on('error', () => {});
+
+    wss.on('connection', (ws, req) => {
+        ws.role = req.wsRole;
+        ws.clientId = nextWebClientId++;
+        Logger.info('WebSocket', 'New web client connected', { clientId: ws.clientId, role: ws.role });
+
+        ws.subscription = null; // null: full feed until the client subscribes
+        ws.visibleImeis = new Set();
+        initWebClientState(ws);
+
+        // Send the current state of all trackers to the newly connected client
+        sendInitialState(ws);
+
+        ws.on('message', message => {
+            try {
+                const data = JSON.parse(message);
+                Logger.debug('WebSocket', 'Message received from client', {
+                    clientId: ws.clientId,
+                    messageType: data.type,
+                    hasData: !!data.data
+                });
+
+                if (data.type === 'update' || data.type == 'initial_state') {
+                    if (ws.role !== 'injector') {
+                        Logger.warn('WebSocket', 'Position injection refused for viewer client', { clientId: ws.clientId });
+                        ws.send(JSON.stringify({ type: 'error', error: 'forbidden', message: 'Injector token required' }));
+                        return;
+                    }
+                    handleInjectedPosition(ws, data.data);
+                } else if (data.type === 'subscribe' || data.type === 'unsubscribe') {
+                    handleSubscriptionMessage(ws, data);
+                }
+            } catch (err) {
+                Logger.error('WebSocket', 'Error parsing client message', {
+                    clientId: ws.clientId,
+                    error: err.message,
+                    rawMessage: message.toString()
+                });
+            }
+        });
+
+        ws.on('close', () => {
+            Logger.info('WebSocket', 'Web client disconnected', { clientId: ws.clientId });
+        });
+
+        ws.on('error', err => {
+            Logger.error('WebSocket', 'WebSocket connection error', {
+                clientId: ws.clientId,
+                error: err.message,
+                code: err.code
+            });
+        });
+    });
+
+    // WebSocket feed subscriptions
+    //
+    // Clients receive every tracker until they send a subscription:
+    //   { type: 'subscribe', imeis: [...], groups: [...], bbox: [minLon, minLat, maxLon, maxLat] }
+    //   { type: 'unsubscribe', imeis: [...], groups: [...], bbox: true }
+    //   { type: 'subscribe', all: true } returns to the full feed
+    // A tracker matches when its IMEI or device group is listed, or its position is inside the bbox.
+    // When a tracker stops matching (left the bbox, unsubscribed) the client gets { type: 'remove', imei }.
+
+    function normalizeBbox(bbox) {
+        const values = Array.isArray(bbox) ? bbox : bbox && [bbox.minLon, bbox.minLat, bbox.maxLon, bbox.maxLat];
+        if (!values || values.length !== 4 || !values.every(Number.isFinite)) return null;
+        const [minLon, minLat, maxLon, maxLat] = values;
+        if (!isValidLatLon(minLat, minLon) || !isValidLatLon(maxLat, maxLon) || minLat > maxLat || minLon > maxLon) return null;
+        return { minLon, minLat, maxLon, maxLat };
+    }
+
+    function handleSubscriptionMessage(ws, data) {
+        const imeis = Array.isArray(data.imeis) ? data.imeis.map(String) : [];
+        const groups = Array.isArray(data.groups) ? data.groups.map(String) : [];
+
+        if (data.type === 'subscribe') {
+            if (data.all === true) {
+                ws.subscription = null;
+            } else {
+                let bbox = null;
+                if (data.bbox !== undefined) {
+                    bbox = normalizeBbox(data.bbox);
+                    if (!bbox) {
+                        ws.send(JSON.stringify({ type: 'error', error: 'invalid_subscription', message: 'bbox must be [minLon, minLat, maxLon, maxLat]' }));
+                        return;
+                    }
+                }
+                const subscription = ws.subscription || { imeis: new Set(), groups: new Set(), bbox: null };
+                imeis.forEach(imei => subscription.imeis.add(imei));
+                groups.forEach(group => subscription.groups.add(group));
+                if (bbox) subscription.bbox = bbox; // A new bbox replaces the previous one (map moved)
+                ws.subscription = subscription;
+            }
+        } else {
+            // Unsubscribing from the full feed starts from an empty subscription
+            const subscription = ws.subscription || { imeis: new Set(), groups: new Set(), bbox: null };
+            imeis.forEach(imei => subscription.imeis.delete(imei));
+            groups.forEach(group => subscription.groups.delete(group));
+            if (data.bbox !== undefined) subscription.bbox = null;
+            if (imeis.length === 0 && groups.length === 0 && data.bbox === undefined) {
+                subscription.imeis.clear();
+                subscription.groups.clear();
+                subscription.bbox = null;
+            }
+            ws.subscription = subscription;
+        }
+
+        Logger.info('WebSocket', 'Client subscription changed', { clientId: ws.clientId, subscription: serializeSubscription(ws.subscription) });
+        ws.send(JSON.stringify({ type: 'subscribed', data: serializeSubscription(ws.subscription) }));
+        sendInitialState(ws);
+    }
+
+    function serializeSubscription(subscription) {
+        if (!subscription) return { all: true };
+        return { imeis: Array.from(subscription.imeis), groups: Array.from(subscription.groups), bbox: subscription.bbox };
+    }
+
+    // data must already carry device metadata (group)
+    function matchesSubscription(subscription, data) {
+        if (!subscription) return true;
+        if (subscription.imeis.has(data.imei)) return true;
+        if (data.group && subscription.groups.has(data.group)) return true;
+        const { bbox } = subscription;
+        return !!bbox && typeof data.lat === 'number' && typeof data.lon === 'number'
+            && data.lat >= bbox.minLat && data.lat <= bbox.maxLat && data.lon >= bbox.minLon && data.lon <= bbox.maxLon;
+    }
+
+    function sendInitialState(ws) {
+        const initialData = Array.from(trackers.values()).map(withDeviceMetadata)
+            .filter(data => matchesSubscription(ws.subscription, data));
+        ws.visibleImeis = new Set(initialData.map(data => data.imei));
+        ws.pendingUpdates.clear(); // The snapshot supersedes anything parked
+        sendToClient(ws, JSON.stringify({ type: 'initial_state', data: initialData }));
+        Logger.debug('WebSocket', 'Initial state sent to client', { clientId: ws.clientId, trackerCount: initialData.length });
+    }
+
+    // Broadcast subsystem
+    //
+    // Every tracker update goes through broadcastTrackerUpdate(). A client whose socket buffer is above
+    // config.wsSlowClientBufferBytes is treated as slow: its updates are parked in client.pendingUpdates,
+    // one entry per IMEI, so a newer position replaces the stale one instead of piling up. The flush
+    // timer drains parked updates once the buffer has room. Clients that stay above
+    // config.wsMaxClientBufferBytes are disconnected. Per-client lag is the time from server receipt of
+    // the device message to the moment it was written to that client.
+
+    const WS_FLUSH_INTERVAL_MS = 250;
+
+    function initWebClientState(ws) {
+        ws.pendingUpdates = new Map(); // Key: IMEI, Value: { message, receivedAt }
+        ws.stats = { sent: 0, coalesced: 0, lastLagMs: null, maxLagMs: 0, totalLagMs: 0, connectedAt: new Date().toISOString() };
+    }
+
+    function recordClientLag(client, receivedAt) {
+        if (!receivedAt) return;
+        const lag = Date.now() - receivedAt;
+        client.stats.lastLagMs = lag;
+        client.stats.totalLagMs += lag;
+        if (lag > client.stats.maxLagMs) client.stats.maxLagMs = lag;
+    }
+
+    // Writes to a client unless its buffer shows it has stopped reading
+    function sendToClient(client, payload) {
+        if (client.bufferedAmount > config.wsMaxClientBufferBytes) {
+            Logger.warn('WebSocket', 'Client buffer limit exceeded, disconnecting', {
+                clientId: client.clientId,
+                bufferedAmount: client.bufferedAmount
+            });
+            client.terminate();
+            return false;
+        }
+        client.send(payload);
+        return true;
+    }
+
+    // Returns 'sent', 'queued', 'removed' or 'skipped'
+    function deliverTrackerUpdate(client, data, message, receivedAt) {
+        if (!matchesSubscription(client.subscription, data)) {
+            client.pendingUpdates.delete(data.imei);
+            if (!client.visibleImeis.delete(data.imei)) return 'skipped';
+            // Tell the client to drop a tracker it no longer subscribes to
+            return sendToClient(client, JSON.stringify({ type: 'remove', imei: data.imei })) ? 'removed' : 'skipped';
+        }
+
+        client.visibleImeis.add(data.imei);
+
+        // Slow client, or still draining parked updates (keeps per-client ordering): park and coalesce
+        if (client.bufferedAmount > config.wsSlowClientBufferBytes || client.pendingUpdates.size > 0) {
+            if (client.pendingUpdates.delete(data.imei)) client.stats.coalesced++;
+            client.pendingUpdates.set(data.imei, { message, receivedAt });
+            return 'queued';
+        }
+
+        if (!sendToClient(client, message)) return 'skipped';
+        client.stats.sent++;
+        recordClientLag(client, receivedAt);
+        return 'sent';
+    }
+
+    function broadcastTrackerUpdate(data) {
+        const update = withDeviceMetadata(data);
+        const message = JSON.stringify({ type: 'update', data: update });
+        const receivedAt = data.receivedTime ? new Date(data.receivedTime).getTime() : null;
+        const results = { sent: 0, queued: 0, removed: 0, skipped: 0, errors: 0 };
+
+        wss.clients.forEach(client => {
+            if (client.readyState !== WebSocket.OPEN) return;
+            try {
+                results[deliverTrackerUpdate(client, update, message, receivedAt)]++;
+            } catch (err) {
+                results.errors++;
+                Logger.error('WebSocket', 'Failed to send update to client', { clientId: client.clientId, error: err.message });
+            }
+        });
+
+        metrics.incrementCounter('broadcasts_total');
+        recordBroadcastLatency(data);
+
+        // Create timestamp table for broadcast completion logging
+        const loggedTime = new Date(); // Time when we're logging this
+        const payloadTime = data.datetime ? new Date(data.datetime) : null; // Time from GPS payload
+        const receivedTime = data.receivedTime ? new Date(data.receivedTime) : loggedTime; // Time when server received the data
+        const timestampTable = createTimestampTable(loggedTime, payloadTime, receivedTime);
+
+        Logger.info('WebSocket', `Broadcast completed${timestampTable}`, {
+            imei: data.imei,
+            unbroadcastedCount: unbroadcastedMessages.get(data.imei) || 0,
+            broadcastResults: results
+        });
+
+        if (results.errors > 0) {
+            Logger.warn('WebSocket', 'Broadcast completed with errors', results);
+        }
+
+        return results;
+    }
+
+    // Drains parked updates for clients whose buffers have room again
+    function flushPendingUpdates() {
+        wss.clients.forEach(client => {
+            if (client.readyState !== WebSocket.OPEN || client.pendingUpdates.size === 0) return;
+            for (const [imei, { message, receivedAt }] of client.pendingUpdates) {
+                if (client.bufferedAmount > config.wsSlowClientBufferBytes) break;
+                client.pendingUpdates.delete(imei);
+                try {
+                    if (!sendToClient(client, message)) return;
+                } catch (err) {
+                    Logger.error('WebSocket', 'Failed to flush update to client', { clientId: client.clientId, error: err.message });
+                    return;
+                }
+                client.stats.sent++;
+                recordClientLag(client, receivedAt);
+            }
+        });
+    }
+
+    function getWebClientStats() {
+        return Array.from(wss.clients).map(client => ({
+            clientId: client.clientId,
+            role: client.role,
+            connectedAt: client.stats.connectedAt,
+            subscription: serializeSubscription(client.subscription),
+            bufferedAmount: client.bufferedAmount,
+            pendingUpdates: client.pendingUpdates.size,
+            sent: client.stats.sent,
+            coalesced: client.stats.coalesced,
+            lastLagMs: client.stats.lastLagMs,
+            maxLagMs: client.stats.maxLagMs,
+            avgLagMs: client.stats.sent > 0 ? Math.round(client.stats.totalLagMs / client.stats.sent) : null
+        }));
+    }
+
+    // Sends a non-position message (events, alerts) to every open client
+    function broadcastMessage(message) {
+        const payload = JSON.stringify(message);
+        const imei = message.data && message.data.imei;
+        const tracker = imei && withDeviceMetadata(trackers.get(imei) || { imei });
+        wss.clients.forEach(client => {
+            if (client.readyState === WebSocket.OPEN) {
+                // Per-device events follow the client's subscription
+                if (tracker && !client.visibleImeis.has(imei) && !matchesSubscription(client.subscription, tracker)) return;
+                try {
+                    sendToClient(client, payload);
+                } catch (err) {
+                    Logger.error('WebSocket', 'Failed to send message to client', { type: message.type, error: err.message });
+                }
+            }
+        });
+    }
+
+    // --- LIFECYCLE ---
+
+    const tcpServers = []; // { server, protocol } per bound device listener
+    const timers = [];
+    let running = false;
+
+    // Listener errors are logged; a faulty handler must not break packet processing
+    function emitEvent(name, payload) {
+        try {
+            trackingServer.emit(name, payload);
+        } catch (err) {
+            Logger.error('EVENTS', 'Event listener failed', { event: name, error: err.message, stack: err.stack });
+        }
+    }
+
+    // Applies the reloadable settings from a full or partial configuration, validated like
+    // options.config (throws if invalid). Returns the names that changed.
+    function reloadConfig(settings = {}) {
+        const next = resolveConfig({ ...config, ...settings });
+
+        const applied = [];
+        const needRestart = [];
+        for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+            if (JSON.stringify(next[key]) === JSON.stringify(config[key])) continue;
+            if (spec.reloadable) {
+                config[key] = next[key];
+                applied.push(key);
+            } else {
+                needRestart.push(key);
+            }
+        }
+
+        if (applied.includes('deviceOfflineAfterMs')) {
+            // Live device sockets pick up the new silence timeout without reconnecting
+            for (const socket of deviceSockets.values()) socket.setTimeout(config.deviceOfflineAfterMs);
+        }
+        if (config.tlsCertFile) reloadTlsCertificates();
+
+        Logger.info('CONFIG', 'Configuration reloaded', { applied });
+        if (needRestart.length > 0) {
+            Logger.warn('CONFIG', 'Some changed settings only take effect after a restart', { settings: needRestart });
+        }
+        return applied;
+    }
+
+    async function start() {
+        if (running) throw new Error('Tracking server is already running');
+        running = true;
+        serverStartedAt = new Date();
+
+        try {
+            await storage.init();
+            await restoreTrackers();
+            await loadGeofences();
+            await loadDeviceRegistry();
+            await loadAlerts();
+            await loadWebhooks();
+            mqttPublisher.start();
+
+            timers.push(setInterval(sweepTrackerStates, STATE_SWEEP_INTERVAL_MS).unref());
+            timers.push(setInterval(flushPendingUpdates, WS_FLUSH_INTERVAL_MS).unref());
+
+            if (config.wsViewerTokens.length === 0) {
+                Logger.warn('SERVER', 'WS_VIEWER_TOKENS not set, dashboard WebSocket is open to anonymous viewers');
+            }
+            if (config.wsInjectorTokens.length === 0) {
+                Logger.info('SERVER', 'WS_INJECTOR_TOKENS not set, simulated position injection is disabled');
+            }
+            if (config.apiAdminTokens.length === 0) {
+                Logger.warn('SERVER', 'API_ADMIN_TOKENS not set, commands, registry, webhooks and geofences are read-only');
+            }
+
+            for (const listener of config.tcpListeners) {
+                if (listener.protocol !== 'auto' && !PROTOCOL_ADAPTERS[listener.protocol]) {
+                    Logger.error('SERVER', 'Unknown protocol for TCP listener, skipping', listener);
+                    continue;
+                }
+                const server = createDeviceListener(listener);
+                await listen(server, listener.port);
+                tcpServers.push({ server, protocol: listener.protocol });
+                Logger.info('SERVER', 'TCP server started', { port: server.address().port, protocol: listener.protocol, service: 'GPS trackers' });
+            }
+
+            await listen(httpServer, config.httpPort);
+            const scheme = config.tlsCertFile ? 'https' : 'http';
+            const httpPort = httpServer.address().port;
+            Logger.info('SERVER', 'HTTP server started', { port: httpPort, url: `${scheme}://localhost:${httpPort}` });
+        } catch (err) {
+            await stop();
+            throw err;
+        }
+
+        serverReady = true;
+        return trackingServer;
+    }
+
+    // Rejects on EADDRINUSE and friends instead of crashing on an unhandled 'error' event
+    function listen(server, port) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => {
+                server.off('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    // Resolves once the server has no open connections left; also when it never listened
+    function closeServer(server) {
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    // Stops accepting work, fails readiness, then closes devices, browsers and storage.
+    // Connections still open after SHUTDOWN_GRACE_MS are destroyed.
+    async function stop() {
+        if (!running) return;
+        running = false;
+        serverReady = false;
+        Logger.info('SERVER', 'Shutting down');
+
+        timers.forEach(clearInterval);
+        timers.length = 0;
+        clearPendingTimers();
+
+        // Waiting on each socket too means 'disconnect' has been emitted for every device on return
+        const closing = [
+            ...tcpServers.map(({ server }) => closeServer(server)),
+            closeServer(httpServer),
+            ...Array.from(deviceConnections, socket => new Promise(resolve => socket.once('close', resolve)))
+        ];
+        for (const socket of deviceConnections) {
+            socket.closeReason = 'server_shutdown';
+            socket.end();
+        }
+        wss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+        httpServer.closeIdleConnections();
+        mqttPublisher.stop();
+
+        const forceClose = setTimeout(() => {
+            Logger.warn('SERVER', 'Grace period over, dropping remaining connections', {
+                devices: deviceConnections.size,
+                webClients: wss.clients.size
+            });
+            deviceConnections.forEach(socket => socket.destroy());
+            wss.clients.forEach(client => client.terminate());
+            httpServer.closeAllConnections();
+        }, SHUTDOWN_GRACE_MS);
+        await Promise.all(closing);
+        clearTimeout(forceClose);
+        tcpServers.length = 0;
+
+        try {
+            await storage.close();
+        } catch (err) {
+            Logger.error('SERVER', 'Failed to close storage', { error: err.message });
+        }
+        Logger.info('SERVER', 'Stopped');
+    }
+
+    // Pending webhook retries are dropped and commands awaiting a reply fail, so nothing fires
+    // against a stopped server and a later start() begins clean
+    function clearPendingTimers() {
+        if (webhookRetryTimers.size > 0) {
+            Logger.warn('WEBHOOK', 'Dropping pending retries on shutdown', { count: webhookRetryTimers.size });
+        }
+        for (const [timer, webhookId] of webhookRetryTimers.entries()) {
+            clearTimeout(timer);
+            const stats = webhookStats.get(webhookId);
+            if (stats) stats.pending--;
+        }
+        webhookRetryTimers.clear();
+
+        for (const command of commands.values()) {
+            if (!command.timer) continue;
+            commandsByServerFlag.delete(command.serverFlag);
+            finishCommand(command, 'failed', { error: 'Server stopped before the device replied' });
+        }
+    }
+
+    function addresses() {
+        return {
+            tcp: tcpServers.map(({ server, protocol }) => ({ port: server.address().port, protocol })),
+            http: httpServer.listening ? httpServer.address().port : null
+        };
+    }
+
+    function getTracker(imei) {
+        return trackers.has(imei) ? withDeviceMetadata({ ...trackers.get(imei) }) : null;
+    }
+
+    return Object.assign(trackingServer, {
+        config,
+        logger: Logger,
+        storage,
+        start,
+        stop,
+        reloadConfig,
+        addresses,
+        getTracker
+    });
+}
+
+module.exports = { createTrackingServer };
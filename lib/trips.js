@@ -0,0 +1,159 @@
+/**
+ * Trips and stops
+ * * Derived on request from stored fixes for /api/trackers/:imei/trips.
+ */
+const { hasPosition, positionTime } = require('./storage');
+const { haversineDistance } = require('./geofence');
+
+// A device is moving when its speed is at least TRIP_MOVING_SPEED_KMH. A trip starts with the first
+// moving fix and ends at the first stationary fix that is followed by TRIP_MIN_STOP_SECONDS without
+// movement, by ACC switching off, or by a gap in the data longer than TRIP_MAX_GAP_SECONDS. Idle time
+// is time spent stationary with ACC on (or unknown) inside a trip. Trips shorter than
+// TRIP_MIN_DISTANCE_M are treated as GPS drift.
+//
+// Trip: { startTime, endTime, durationSeconds, start: { lat, lon }, end: { lat, lon }, distanceMeters,
+//         maxSpeed, avgSpeed (km/h over the whole trip), movingSeconds, idleSeconds, points }
+// Stop: { startTime, endTime, durationSeconds, lat, lon, accOnSeconds }
+
+const TRIP_MOVING_SPEED_KMH = 5;
+const TRIP_MIN_STOP_SECONDS = 5 * 60;
+const TRIP_MAX_GAP_SECONDS = 30 * 60;
+const TRIP_MIN_DISTANCE_M = 200;
+
+function detectTrips(positions) {
+    const fixes = positions.filter(hasPosition).sort((a, b) => positionTime(a) - positionTime(b));
+    const trips = [];
+    const stops = [];
+    let trip = null;
+    let stationarySince = null; // First stationary fix of the current halt
+    let stopStart = fixes[0] || null;
+
+    const isMoving = fix => (fix.speed || 0) >= TRIP_MOVING_SPEED_KMH;
+
+    const closeTrip = (endFix) => {
+        trip.end = endFix;
+        if (trip.distanceMeters >= TRIP_MIN_DISTANCE_M) {
+            trips.push(serializeTrip(trip));
+            stopStart = endFix;
+        } else if (!stopStart) {
+            stopStart = trip.start;
+        }
+        trip = null;
+        stationarySince = null;
+    };
+
+    const closeStop = (endFix) => {
+        if (!stopStart) return;
+        const stop = serializeStop(stopStart, endFix, fixes);
+        if (stop.durationSeconds >= TRIP_MIN_STOP_SECONDS) stops.push(stop);
+        stopStart = null;
+    };
+
+    for (let i = 0; i < fixes.length; i++) {
+        const fix = fixes[i];
+        const previous = fixes[i - 1];
+        const gapSeconds = previous ? (positionTime(fix) - positionTime(previous)) / 1000 : 0;
+
+        if (trip && gapSeconds > TRIP_MAX_GAP_SECONDS) {
+            closeTrip(stationarySince || previous);
+        }
+
+        if (!trip) {
+            if (isMoving(fix)) {
+                const start = previous && gapSeconds <= TRIP_MAX_GAP_SECONDS ? previous : fix; // Departure point
+                closeStop(start);
+                trip = { start, distanceMeters: 0, maxSpeed: 0, speedSum: 0, movingSeconds: 0, idleSeconds: 0, points: start === fix ? 1 : 2 };
+                if (start !== fix) accumulateTripSegment(trip, start, fix);
+                trip.maxSpeed = Math.max(trip.maxSpeed, fix.speed || 0);
+            }
+            continue;
+        }
+
+        trip.points++;
+        accumulateTripSegment(trip, previous, fix);
+        trip.maxSpeed = Math.max(trip.maxSpeed, fix.speed || 0);
+
+        if (isMoving(fix)) {
+            stationarySince = null;
+            continue;
+        }
+
+        stationarySince = stationarySince || fix;
+        const haltedSeconds = (positionTime(fix) - positionTime(stationarySince)) / 1000;
+        if (fix.acc === false || haltedSeconds >= TRIP_MIN_STOP_SECONDS) {
+            // The halt at the end is part of the stop, not the trip
+            trip.idleSeconds -= idleBetween(fixes, stationarySince, fix);
+            trip.points -= i - fixes.indexOf(stationarySince);
+            closeTrip(stationarySince);
+        }
+    }
+
+    if (trip) {
+        trip.ongoing = true; // Still driving, or halted for less than TRIP_MIN_STOP_SECONDS
+        closeTrip(stationarySince || fixes[fixes.length - 1]);
+    }
+    if (stopStart && fixes.length > 0) closeStop(fixes[fixes.length - 1]);
+
+    return { trips, stops };
+}
+
+// Adds the segment previous -> fix to the trip totals
+function accumulateTripSegment(trip, previous, fix) {
+    const seconds = Math.max(0, (positionTime(fix) - positionTime(previous)) / 1000);
+    trip.distanceMeters += haversineDistance(previous.lat, previous.lon, fix.lat, fix.lon);
+    if ((fix.speed || 0) >= TRIP_MOVING_SPEED_KMH || (previous.speed || 0) >= TRIP_MOVING_SPEED_KMH) {
+        trip.movingSeconds += seconds;
+    } else if (fix.acc !== false) {
+        trip.idleSeconds += seconds;
+    }
+}
+
+// Stationary ACC-on seconds between two fixes of the same halt
+function idleBetween(fixes, fromFix, toFix) {
+    let seconds = 0;
+    for (let i = fixes.indexOf(fromFix) + 1; i <= fixes.indexOf(toFix); i++) {
+        if (fixes[i].acc !== false) seconds += (positionTime(fixes[i]) - positionTime(fixes[i - 1])) / 1000;
+    }
+    return seconds;
+}
+
+function fixTime(fix) {
+    return new Date(positionTime(fix)).toISOString();
+}
+
+function serializeTrip(trip) {
+    const durationSeconds = Math.round((positionTime(trip.end) - positionTime(trip.start)) / 1000);
+    return {
+        startTime: fixTime(trip.start),
+        endTime: fixTime(trip.end),
+        durationSeconds,
+        start: { lat: trip.start.lat, lon: trip.start.lon },
+        end: { lat: trip.end.lat, lon: trip.end.lon },
+        distanceMeters: Math.round(trip.distanceMeters),
+        maxSpeed: trip.maxSpeed,
+        avgSpeed: durationSeconds > 0 ? Math.round(trip.distanceMeters / durationSeconds * 3.6 * 10) / 10 : 0,
+        movingSeconds: Math.round(trip.movingSeconds),
+        idleSeconds: Math.round(Math.max(0, trip.idleSeconds)),
+        points: trip.points,
+        ongoing: !!trip.ongoing
+    };
+}
+
+function serializeStop(startFix, endFix, fixes) {
+    return {
+        startTime: fixTime(startFix),
+        endTime: fixTime(endFix),
+        durationSeconds: Math.round((positionTime(endFix) - positionTime(startFix)) / 1000),
+        lat: startFix.lat,
+        lon: startFix.lon,
+        accOnSeconds: Math.round(idleBetween(fixes, startFix, endFix))
+    };
+}
+
+module.exports = {
+    TRIP_MOVING_SPEED_KMH,
+    TRIP_MIN_STOP_SECONDS,
+    TRIP_MAX_GAP_SECONDS,
+    TRIP_MIN_DISTANCE_M,
+    detectTrips
+};
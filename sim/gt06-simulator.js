@@ -0,0 +1,538 @@
+#!/usr/bin/env node
+/**
+ * Headless GT06 device simulator
+ * * Opens real TCP connections to the tracker port and speaks the binary GT06 protocol, so the
+ * * server's framing, CRC, parser and ACK paths are exercised exactly as with hardware. Works offline.
+ * * --- WHAT EACH DEVICE SENDS ---
+ * 1.  Login (0x01) with its IMEI; waits for the server ACK before reporting.
+ * 2.  Location (0x12) every --interval seconds while driving along its route.
+ * 3.  Heartbeat (0x13) every --heartbeat seconds with ACC, charging and battery/GSM levels.
+ * 4.  Alarm (0x16, SOS by default) every --alarm seconds, if set.
+ * * --- ROUTES ---
+ * --route takes a GPX file (trkpt/rtept/wpt) or GeoJSON (LineString, MultiLineString, Feature,
+ * FeatureCollection). Repeat --route to give devices different routes; devices cycle through them.
+ * Without a route each device drives a circle around --center.
+ * * --- FAULT INJECTION ---
+ * --jitter MS          random extra delay (0..MS) before every packet
+ * --position-jitter M  random GPS noise in meters
+ * --split P            probability that a packet is written in 2-3 fragments
+ * --merge P            probability that a packet is held back and sent together with the next one
+ * --disconnect P       probability per location report that the device drops the connection
+ * --reconnect MS       delay before a dropped device reconnects and logs in again
+ * * --- EXAMPLES ---
+ * node sim/gt06-simulator.js --devices 20 --interval 5 --split 0.2 --disconnect 0.01
+ * node sim/gt06-simulator.js --route trips/ring-road.gpx --speed 60 --duration 600
+ */
+const fs = require('fs');
+const net = require('net');
+const { crcItu, buildGT06Response } = require('../lib/gt06');
+
+// --- OPTIONS ---
+const DEFAULT_OPTIONS = {
+    host: '127.0.0.1',
+    port: 5000,
+    devices: 1,
+    imeiBase: '868022038530000', // Device i gets imeiBase + i
+    routes: [],
+    center: [28.0581, 82.4824], // Ghorahi, Nepal: used when no route is given
+    radius: 2000, // Meters, synthetic circular route
+    speed: 40, // km/h along the route
+    interval: 10, // Seconds between location reports
+    heartbeat: 60, // Seconds between heartbeats
+    alarm: 0, // Seconds between alarm packets, 0 = never
+    alarmCode: 0x01, // SOS
+    jitter: 0,
+    positionJitter: 0,
+    split: 0,
+    merge: 0,
+    disconnect: 0,
+    reconnect: 5000,
+    duration: 0, // Seconds, 0 = run until interrupted
+    stagger: 200, // ms between device start-ups
+    verbose: false
+};
+
+const USAGE = `Usage: node sim/gt06-simulator.js [options]
+  --host HOST             server host (${DEFAULT_OPTIONS.host})
+  --port PORT             tracker TCP port (${DEFAULT_OPTIONS.port})
+  --devices N             simulated devices (${DEFAULT_OPTIONS.devices})
+  --imei-base IMEI        first IMEI, incremented per device (${DEFAULT_OPTIONS.imeiBase})
+  --route FILE            GPX or GeoJSON route, repeatable
+  --center LAT,LON        center of the synthetic circular route
+  --radius M              radius of the synthetic route in meters (${DEFAULT_OPTIONS.radius})
+  --speed KMH             driving speed (${DEFAULT_OPTIONS.speed})
+  --interval S            seconds between location packets (${DEFAULT_OPTIONS.interval})
+  --heartbeat S           seconds between heartbeats (${DEFAULT_OPTIONS.heartbeat})
+  --alarm S               seconds between alarm packets, 0 = off (${DEFAULT_OPTIONS.alarm})
+  --alarm-code N          GT06 alarm code, e.g. 1 sos, 2 power cut, 6 overspeed (${DEFAULT_OPTIONS.alarmCode})
+  --jitter MS             random delay added before each packet (${DEFAULT_OPTIONS.jitter})
+  --position-jitter M     random GPS noise in meters (${DEFAULT_OPTIONS.positionJitter})
+  --split P               probability a packet is split across writes (${DEFAULT_OPTIONS.split})
+  --merge P               probability a packet is merged with the next one (${DEFAULT_OPTIONS.merge})
+  --disconnect P          probability of dropping the connection per location (${DEFAULT_OPTIONS.disconnect})
+  --reconnect MS          delay before reconnecting (${DEFAULT_OPTIONS.reconnect})
+  --duration S            stop after S seconds, 0 = run until Ctrl+C (${DEFAULT_OPTIONS.duration})
+  --verbose               log every packet
+  --help                  show this help`;
+
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS, routes: [] };
+    const numberOption = (name, value, { min = 0, max = Infinity, integer = false } = {}) => {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+            throw new Error(`--${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+        }
+        return number;
+    };
+    const probability = (name, value) => numberOption(name, value, { max: 1 });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (arg === '--verbose') {
+            options.verbose = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}"`);
+        const name = arg.slice(2);
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`--${name} needs a value`);
+
+        switch (name) {
+            case 'host': options.host = value; break;
+            case 'port': options.port = numberOption(name, value, { min: 1, max: 65535, integer: true }); break;
+            case 'devices': options.devices = numberOption(name, value, { min: 1, integer: true }); break;
+            case 'imei-base':
+                if (!/^\d{15}$/.test(value)) throw new Error('--imei-base must be 15 digits');
+                options.imeiBase = value;
+                break;
+            case 'route': options.routes.push(value); break;
+            case 'center': {
+                const [lat, lon] = value.split(',').map(Number);
+                if (!(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) throw new Error('--center must be LAT,LON');
+                options.center = [lat, lon];
+                break;
+            }
+            case 'radius': options.radius = numberOption(name, value, { min: 10 }); break;
+            case 'speed': options.speed = numberOption(name, value, { max: 255 }); break;
+            case 'interval': options.interval = numberOption(name, value, { min: 0.1 }); break;
+            case 'heartbeat': options.heartbeat = numberOption(name, value); break;
+            case 'alarm': options.alarm = numberOption(name, value); break;
+            case 'alarm-code': options.alarmCode = numberOption(name, value, { max: 255, integer: true }); break;
+            case 'jitter': options.jitter = numberOption(name, value); break;
+            case 'position-jitter': options.positionJitter = numberOption(name, value); break;
+            case 'split': options.split = probability(name, value); break;
+            case 'merge': options.merge = probability(name, value); break;
+            case 'disconnect': options.disconnect = probability(name, value); break;
+            case 'reconnect': options.reconnect = numberOption(name, value); break;
+            case 'duration': options.duration = numberOption(name, value); break;
+            case 'stagger': options.stagger = numberOption(name, value); break;
+            default: throw new Error(`Unknown option --${name}`);
+        }
+    }
+    return options;
+}
+
+// --- GT06 ENCODING ---
+// Frames are built with the server's own codec (lib/gt06.js), so both sides share one CRC-ITU
+// and frame layout: 0x7878, length (1), protocol number (1), content, serial (2), CRC-ITU (2), 0x0D0A.
+
+function encodeLogin(imei, serial) {
+    return buildGT06Response(0x01, serial, Buffer.from(`0${imei}`, 'hex'));
+}
+
+// Date/time (6), GPS info (1), latitude (4), longitude (4), speed (1), course/status (2)
+function encodeGpsBlock(fix) {
+    const block = Buffer.alloc(18);
+    const time = fix.time;
+    [time.getUTCFullYear() - 2000, time.getUTCMonth() + 1, time.getUTCDate(),
+        time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds()].forEach((value, i) => block.writeUInt8(value, i));
+    block.writeUInt8(0xC0 | Math.min(fix.satellites, 15), 6); // GPS info length 12, satellites in the low nibble
+    block.writeUInt32BE(Math.round(Math.abs(fix.lat) * 1800000), 7);
+    block.writeUInt32BE(Math.round(Math.abs(fix.lon) * 1800000), 11);
+    block.writeUInt8(Math.min(255, Math.round(fix.speed)), 15);
+    let courseStatus = Math.round(fix.course) % 360;
+    courseStatus |= 0x2000 | 0x1000; // Real-time, positioned
+    if (fix.lat >= 0) courseStatus |= 0x0400; // North
+    if (fix.lon < 0) courseStatus |= 0x0800; // West
+    block.writeUInt16BE(courseStatus, 16);
+    return block;
+}
+
+// MCC (2), MNC (1), LAC (2), cell id (3)
+function encodeLbsBlock(cell) {
+    const block = Buffer.alloc(8);
+    block.writeUInt16BE(cell.mcc, 0);
+    block.writeUInt8(cell.mnc, 2);
+    block.writeUInt16BE(cell.lac, 3);
+    block.writeUIntBE(cell.cellId, 5, 3);
+    return block;
+}
+
+function encodeLocation(fix, cell, serial) {
+    return buildGT06Response(0x12, serial, Buffer.concat([encodeGpsBlock(fix), encodeLbsBlock(cell)]));
+}
+
+// Terminal info: bit 6 GPS tracking, bit 2 charging, bit 1 ACC, bit 0 defence
+function terminalInfo(status) {
+    return 0x40 | (status.charging ? 0x04 : 0) | (status.acc ? 0x02 : 0) | (status.armed ? 0x01 : 0);
+}
+
+// Terminal info (1), voltage level (1), GSM signal (1), language (2)
+function encodeHeartbeat(status, serial) {
+    return buildGT06Response(0x13, serial, Buffer.from([terminalInfo(status), status.voltageLevel, status.gsmSignal, 0x00, 0x02]));
+}
+
+// GPS block, LBS length + LBS, terminal info, voltage, GSM, alarm code, language
+function encodeAlarm(fix, cell, status, alarmCode, serial) {
+    const lbs = encodeLbsBlock(cell);
+    return buildGT06Response(0x16, serial, Buffer.concat([
+        encodeGpsBlock(fix),
+        Buffer.from([lbs.length + 1]),
+        lbs,
+        Buffer.from([terminalInfo(status), status.voltageLevel, status.gsmSignal, alarmCode, 0x02])
+    ]));
+}
+
+// --- ROUTES ---
+
+const EARTH_RADIUS_M = 6371008.8;
+
+function toRad(deg) {
+    return deg * Math.PI / 180;
+}
+
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+function bearing(lat1, lon1, lat2, lon2) {
+    const y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function parseGpx(text) {
+    const points = [];
+    const pattern = /<(trkpt|rtept|wpt)\b([^>]*)>/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const lat = /\blat\s*=\s*"([^"]+)"/.exec(match[2]);
+        const lon = /\blon\s*=\s*"([^"]+)"/.exec(match[2]);
+        if (lat && lon) points.push([Number(lat[1]), Number(lon[1])]);
+    }
+    return points;
+}
+
+function parseGeoJson(text) {
+    const points = [];
+    const visit = geometry => {
+        if (!geometry) return;
+        switch (geometry.type) {
+            case 'FeatureCollection': geometry.features.forEach(visit); break;
+            case 'Feature': visit(geometry.geometry); break;
+            case 'GeometryCollection': geometry.geometries.forEach(visit); break;
+            case 'LineString': geometry.coordinates.forEach(([lon, lat]) => points.push([lat, lon])); break;
+            case 'MultiLineString': geometry.coordinates.forEach(line => line.forEach(([lon, lat]) => points.push([lat, lon]))); break;
+            case 'Point': points.push([geometry.coordinates[1], geometry.coordinates[0]]); break;
+            default: break;
+        }
+    };
+    visit(JSON.parse(text));
+    return points;
+}
+
+function loadRoute(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const points = /^\s*[{[]/.test(text) ? parseGeoJson(text) : parseGpx(text);
+    const valid = points.filter(([lat, lon]) => Math.abs(lat) <= 90 && Math.abs(lon) <= 180);
+    if (valid.length < 2) throw new Error(`${file}: a route needs at least 2 points`);
+    return valid;
+}
+
+function circularRoute([lat, lon], radius, offset) {
+    const points = [];
+    const latRadius = radius / 111320;
+    const lonRadius = radius / (111320 * Math.cos(toRad(lat)));
+    for (let i = 0; i <= 72; i++) {
+        const angle = offset + (i / 72) * 2 * Math.PI;
+        points.push([lat + latRadius * Math.sin(angle), lon + lonRadius * Math.cos(angle)]);
+    }
+    return points;
+}
+
+// Walks a polyline by distance; loops back to the start at the end
+class RouteCursor {
+    constructor(points) {
+        this.points = points;
+        this.segment = 0;
+        this.offset = 0; // Meters into the current segment
+    }
+
+    advance(meters) {
+        let remaining = meters;
+        for (let guard = 0; guard < this.points.length * 2; guard++) {
+            const [lat1, lon1] = this.points[this.segment];
+            const [lat2, lon2] = this.points[(this.segment + 1) % this.points.length];
+            const length = haversineDistance(lat1, lon1, lat2, lon2);
+            if (this.offset + remaining <= length) {
+                this.offset += remaining;
+                break;
+            }
+            remaining -= length - this.offset;
+            this.offset = 0;
+            this.segment = (this.segment + 1) % this.points.length;
+        }
+        return this.position();
+    }
+
+    position() {
+        const [lat1, lon1] = this.points[this.segment];
+        const [lat2, lon2] = this.points[(this.segment + 1) % this.points.length];
+        const length = haversineDistance(lat1, lon1, lat2, lon2);
+        const ratio = length > 0 ? this.offset / length : 0;
+        return {
+            lat: lat1 + (lat2 - lat1) * ratio,
+            lon: lon1 + (lon2 - lon1) * ratio,
+            course: bearing(lat1, lon1, lat2, lon2)
+        };
+    }
+}
+
+// --- DEVICE ---
+
+const stats = { connections: 0, disconnects: 0, packets: 0, bytes: 0, acks: 0, errors: 0 };
+
+function log(options, imei, message) {
+    if (options.verbose) console.log(`[${new Date().toISOString()}] [${imei}] ${message}`);
+}
+
+class SimulatedDevice {
+    constructor(imei, route, options, index) {
+        this.imei = imei;
+        this.options = options;
+        this.cursor = new RouteCursor(route);
+        this.cursor.advance(index * 37); // Spread devices sharing a route
+        this.serial = 0;
+        this.socket = null;
+        this.timers = [];
+        this.held = null; // Packet waiting to be merged with the next one
+        this.stopped = false;
+        this.status = { acc: true, charging: true, armed: false, voltageLevel: 6, gsmSignal: 4 };
+        this.cell = { mcc: 429, mnc: 1, lac: 0x1000 + index, cellId: 0x10000 + index };
+        this.sendChain = Promise.resolve();
+    }
+
+    nextSerial() {
+        this.serial = (this.serial + 1) & 0xFFFF;
+        return this.serial;
+    }
+
+    connect() {
+        if (this.stopped) return;
+        const socket = net.connect(this.options.port, this.options.host);
+        this.socket = socket;
+
+        socket.on('connect', () => {
+            stats.connections++;
+            log(this.options, this.imei, 'connected');
+            this.send(encodeLogin(this.imei, this.nextSerial()), 'login');
+        });
+
+        let pending = Buffer.alloc(0);
+        socket.on('data', data => {
+            pending = Buffer.concat([pending, data]);
+            // Server replies are 0x7878 frames; the login ACK starts the reporting timers
+            while (pending.length >= 5 && pending.readUInt16BE(0) === 0x7878 && pending.length >= pending[2] + 5) {
+                const frame = pending.subarray(0, pending[2] + 5);
+                pending = pending.subarray(frame.length);
+                stats.acks++;
+                log(this.options, this.imei, `ack ${frame.toString('hex')}`);
+                if (frame[3] === 0x01 && this.timers.length === 0) this.startReporting();
+            }
+            if (pending.length > 0 && pending.readUInt16BE(0) !== 0x7878) pending = Buffer.alloc(0);
+        });
+
+        socket.on('error', err => {
+            stats.errors++;
+            log(this.options, this.imei, `socket error ${err.code || err.message}`);
+        });
+
+        socket.on('close', () => {
+            this.stopReporting();
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (!this.stopped) setTimeout(() => this.connect(), this.options.reconnect);
+        });
+    }
+
+    startReporting() {
+        const { options } = this;
+        this.reportLocation();
+        this.timers.push(setInterval(() => this.reportLocation(), options.interval * 1000));
+        if (options.heartbeat > 0) {
+            this.timers.push(setInterval(() => this.send(encodeHeartbeat(this.status, this.nextSerial()), 'heartbeat'), options.heartbeat * 1000));
+        }
+        if (options.alarm > 0) {
+            this.timers.push(setInterval(() => {
+                this.send(encodeAlarm(this.currentFix(), this.cell, this.status, options.alarmCode, this.nextSerial()), 'alarm');
+            }, options.alarm * 1000));
+        }
+    }
+
+    stopReporting() {
+        this.timers.forEach(clearInterval);
+        this.timers = [];
+        this.held = null;
+    }
+
+    currentFix() {
+        const { options } = this;
+        const position = this.cursor.position();
+        const noise = options.positionJitter;
+        const latNoise = noise > 0 ? ((Math.random() * 2 - 1) * noise) / 111320 : 0;
+        const lonNoise = noise > 0 ? ((Math.random() * 2 - 1) * noise) / (111320 * Math.cos(toRad(position.lat))) : 0;
+        return {
+            time: new Date(),
+            lat: position.lat + latNoise,
+            lon: position.lon + lonNoise,
+            course: position.course,
+            speed: Math.max(0, options.speed + (Math.random() * 6 - 3)),
+            satellites: 7 + Math.floor(Math.random() * 5)
+        };
+    }
+
+    reportLocation() {
+        this.cursor.advance(this.options.speed / 3.6 * this.options.interval);
+        this.send(encodeLocation(this.currentFix(), this.cell, this.nextSerial()), 'location');
+
+        if (Math.random() < this.options.disconnect) {
+            stats.disconnects++;
+            log(this.options, this.imei, 'simulating disconnect');
+            // Let the queued writes go out first, then drop without a FIN-level goodbye
+            this.sendChain = this.sendChain.then(() => this.socket && this.socket.destroy());
+        }
+    }
+
+    // Packets go out in order; jitter, splitting and merging are applied per packet
+    send(packet, type) {
+        this.sendChain = this.sendChain.then(async () => {
+            const { options } = this;
+            if (options.jitter > 0) await delay(Math.random() * options.jitter);
+            const socket = this.socket;
+            if (!socket || socket.destroyed || !socket.writable) return;
+
+            stats.packets++;
+            log(options, this.imei, `${type} ${packet.toString('hex')}`);
+
+            if (this.held) {
+                packet = Buffer.concat([this.held, packet]);
+                this.held = null;
+            } else if (type !== 'login' && Math.random() < options.merge) {
+                this.held = packet;
+                return;
+            }
+
+            if (Math.random() < options.split && packet.length > 2) {
+                const cuts = [1 + Math.floor(Math.random() * (packet.length - 1))];
+                if (Math.random() < 0.5 && packet.length > cuts[0] + 1) cuts.push(cuts[0] + 1 + Math.floor(Math.random() * (packet.length - cuts[0] - 1)));
+                let start = 0;
+                for (const cut of [...cuts, packet.length]) {
+                    socket.write(packet.subarray(start, cut));
+                    stats.bytes += cut - start;
+                    start = cut;
+                    await delay(5 + Math.random() * 20);
+                }
+            } else {
+                socket.write(packet);
+                stats.bytes += packet.length;
+            }
+        }).catch(err => {
+            stats.errors++;
+            log(this.options, this.imei, `send failed ${err.message}`);
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+        this.stopReporting();
+        if (this.socket) this.socket.end();
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function imeiFor(base, index) {
+    const body = (BigInt(base.slice(0, 14)) + BigInt(index)).toString().padStart(14, '0').slice(-14);
+    // Last digit is the Luhn check digit, as on real devices
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        let digit = Number(body[13 - i]);
+        if (i % 2 === 0) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return body + ((10 - (sum % 10)) % 10);
+}
+
+// --- MAIN ---
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const routes = options.routes.map(loadRoute);
+    const devices = [];
+    for (let i = 0; i < options.devices; i++) {
+        const route = routes.length > 0
+            ? routes[i % routes.length]
+            : circularRoute(options.center, options.radius, (i / options.devices) * 2 * Math.PI);
+        devices.push(new SimulatedDevice(imeiFor(options.imeiBase, i), route, options, i));
+    }
+
+    console.log(`Simulating ${devices.length} GT06 device(s) against ${options.host}:${options.port}`
+        + ` (first IMEI ${devices[0].imei}${routes.length ? `, ${routes.length} route file(s)` : ', circular route'})`);
+    devices.forEach((device, i) => setTimeout(() => device.connect(), i * options.stagger));
+
+    const started = Date.now();
+    const report = setInterval(() => {
+        const connected = devices.filter(device => device.socket && !device.socket.destroyed).length;
+        console.log(`[${Math.round((Date.now() - started) / 1000)}s] connected ${connected}/${devices.length}`
+            + ` packets ${stats.packets} bytes ${stats.bytes} acks ${stats.acks} disconnects ${stats.disconnects} errors ${stats.errors}`);
+    }, 10000);
+
+    const shutdown = () => {
+        clearInterval(report);
+        devices.forEach(device => device.stop());
+        console.log(`Done: ${JSON.stringify(stats)}`);
+        setTimeout(() => process.exit(0), 200).unref();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    if (options.duration > 0) setTimeout(shutdown, options.duration * 1000);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { encodeFrame: buildGT06Response, encodeLogin, encodeLocation, encodeHeartbeat, encodeAlarm, crcItu, parseGpx, parseGeoJson, RouteCursor };
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildGT06Response } = require('../lib/gt06');
+const { IMEI, startTestServer, adminApi, loginDevice, fixAt } = require('./helpers');
+
+// Heartbeat whose terminal info carries an alarm state (bits 3-5, 0b100 = SOS)
+function heartbeatWithAlarm(alarmBits) {
+    return serial => buildGT06Response(0x13, serial, Buffer.from([0x40 | (alarmBits << 3), 4, 3, 0x00, 0x02]));
+}
+
+async function startWithDevice(t, device = {}) {
+    const server = await startTestServer(t);
+    const api = async (path, options) => (await adminApi(server, path, options)).body;
+    await api('/api/devices', { method: 'POST', body: { imei: IMEI, ...device } });
+    const { send } = await loginDevice(server);
+    return { api, send };
+}
+
+test('overspeed raises once per episode and not again after acknowledgement', async t => {
+    const { api, send } = await startWithDevice(t, { speedLimit: 60 });
+
+    await send(fixAt({ speed: 70 }));
+    await send(fixAt({ speed: 75 }));
+    let alerts = await api('/api/alerts?imei=' + IMEI);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].rule, 'overspeed');
+    assert.equal(alerts[0].count, 1);
+    const firstTriggeredAt = alerts[0].lastTriggeredAt;
+
+    await api(`/api/alerts/${alerts[0].id}/ack`, { method: 'POST', body: {} });
+    await send(fixAt({ speed: 80 }));
+    alerts = await api('/api/alerts?imei=' + IMEI);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].lastTriggeredAt, firstTriggeredAt);
+
+    // Back under the limit, then over it again: a new episode
+    await send(fixAt({ speed: 40 }));
+    await send(fixAt({ speed: 70 }));
+    alerts = await api('/api/alerts?imei=' + IMEI + '&status=open');
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].details.limit, 60);
+});
+
+test('a persistent terminal alarm raises once until the state clears', async t => {
+    const { api, send } = await startWithDevice(t);
+
+    for (let i = 0; i < 3; i++) await send(heartbeatWithAlarm(0b100), 'heartbeat');
+    let alerts = await api('/api/alerts?imei=' + IMEI);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].key, 'sos');
+    assert.equal(alerts[0].severity, 'critical');
+
+    await api(`/api/alerts/${alerts[0].id}/ack`, { method: 'POST', body: {} });
+    await send(heartbeatWithAlarm(0b100), 'heartbeat');
+    assert.equal((await api('/api/alerts?imei=' + IMEI + '&status=open')).length, 0);
+
+    await send(heartbeatWithAlarm(0b000), 'heartbeat');
+    await send(heartbeatWithAlarm(0b100), 'heartbeat');
+    alerts = await api('/api/alerts?imei=' + IMEI + '&status=open');
+    assert.equal(alerts.length, 1);
+});
+
+test('alert thresholds come from the registry before the configured defaults', async t => {
+    const { api, send } = await startWithDevice(t);
+    await send(fixAt({ speed: 70 })); // Under the default ALERT_SPEED_LIMIT of 80
+    assert.equal((await api('/api/alerts?imei=' + IMEI)).length, 0);
+
+    const invalid = await api(`/api/devices/${IMEI}`, { method: 'PUT', body: { lowVoltage: -1 } });
+    assert.match(invalid.error, /lowVoltage must be a positive number/);
+});
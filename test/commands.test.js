@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildGT06Response, extractGT06Frames } = require('../lib/gt06');
+const { encodeLogin, encodeHeartbeat } = require('../sim/gt06-simulator');
+const { IMEI, startTestServer, adminApi, connectDevice, loginDevice } = require('./helpers');
+
+const STATUS = { acc: true, charging: false, voltageLevel: 5, gsmSignal: 3 };
+
+// Resolves with { serverFlag, command } of the next 0x80 packet the server writes to the device
+function nextCommand(socket) {
+    return new Promise(resolve => {
+        const onData = data => {
+            const frame = extractGT06Frames(data).frames.find(candidate => candidate[3] === 0x80);
+            if (!frame) return;
+            socket.off('data', onData);
+            const length = frame[4]; // Server flag + command
+            resolve({ serverFlag: frame.readUInt32BE(5), command: frame.toString('ascii', 9, 5 + length) });
+        };
+        socket.on('data', onData);
+    });
+}
+
+// 0x15 string information packet: the device's reply to the command with `serverFlag`
+function reply(serverFlag, text) {
+    return serial => {
+        const content = Buffer.alloc(5 + text.length);
+        content.writeUInt8(4 + text.length, 0);
+        content.writeUInt32BE(serverFlag, 1);
+        content.write(text, 5, 'ascii');
+        return buildGT06Response(0x15, serial, content);
+    };
+}
+
+test('a queued command is sent on login and completed by the reply with its server flag', async t => {
+    const server = await startTestServer(t);
+    const created = await adminApi(server, `/api/trackers/${IMEI}/commands`, { method: 'POST', body: { command: 'WHERE#' } });
+    assert.equal(created.status, 202);
+    assert.equal(created.body.status, 'queued');
+    const status = async () => (await adminApi(server, `/api/commands/${created.body.id}`)).body;
+
+    const socket = await connectDevice(server);
+    const sent = nextCommand(socket);
+    socket.write(encodeLogin(IMEI, 1));
+    const { serverFlag, command } = await sent;
+    assert.equal(command, 'WHERE#');
+    assert.equal(serverFlag, created.body.serverFlag);
+    assert.equal((await status()).status, 'sent');
+
+    // A reply is matched by its server flag only: another flag leaves the command waiting.
+    // Replies are handled on receipt, so a heartbeat sent after one marks it processed.
+    const heartbeat = serial => encodeHeartbeat(STATUS, serial);
+    const waitForHeartbeat = async packet => {
+        const processed = new Promise(resolve => server.once('heartbeat', resolve));
+        socket.write(Buffer.concat([packet, heartbeat(99)]));
+        await processed;
+    };
+    await waitForHeartbeat(reply(serverFlag + 1, 'Lat:N27.7,Lon:E85.3')(2));
+    assert.equal((await status()).status, 'sent');
+
+    await waitForHeartbeat(reply(serverFlag, 'Lat:N27.7,Lon:E85.3')(3));
+    const done = await status();
+    assert.equal(done.status, 'acked');
+    assert.equal(done.response, 'Lat:N27.7,Lon:E85.3');
+});
+
+test('a command without a reply times out and a late reply is ignored', async t => {
+    const server = await startTestServer(t);
+    const { socket, send } = await loginDevice(server);
+
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const sent = nextCommand(socket);
+    const created = await adminApi(server, `/api/trackers/${IMEI}/commands`, { method: 'POST', body: { command: 'RESET#' } });
+    const { serverFlag } = await sent;
+
+    t.mock.timers.tick(29000);
+    assert.equal((await adminApi(server, `/api/commands/${created.body.id}`)).body.status, 'sent');
+    t.mock.timers.tick(1000);
+    const timedOut = (await adminApi(server, `/api/commands/${created.body.id}`)).body;
+    assert.equal(timedOut.status, 'timed_out');
+    assert.match(timedOut.error, /No reply within 30s/);
+    t.mock.timers.reset();
+
+    socket.write(reply(serverFlag, 'OK')(50));
+    await send(serial => encodeHeartbeat(STATUS, serial), 'heartbeat');
+    assert.equal((await adminApi(server, `/api/commands/${created.body.id}`)).body.status, 'timed_out');
+});
+
+test('commands must be printable ASCII and need an admin token', async t => {
+    const server = await startTestServer(t);
+    const invalid = await adminApi(server, `/api/trackers/${IMEI}/commands`, { method: 'POST', body: { command: 'RELAY,1#\n' } });
+    assert.equal(invalid.status, 400);
+
+    const response = await fetch(`http://127.0.0.1:${server.addresses().http}/api/trackers/${IMEI}/commands`, {
+        method: 'POST',
+        body: JSON.stringify({ command: 'RELAY,1#' })
+    });
+    assert.equal(response.status, 401);
+});
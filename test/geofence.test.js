@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    haversineDistance,
+    isInsideGeofence,
+    isValidLatLon,
+    createGeofenceState,
+    advanceGeofenceState
+} = require('../lib/geofence');
+
+const CIRCLE = { type: 'circle', center: { lat: 27.7, lon: 85.3 }, radius: 500, dwellSeconds: 60 };
+const SQUARE = { type: 'polygon', coordinates: [[27.6, 85.2], [27.6, 85.4], [27.8, 85.4], [27.8, 85.2]], dwellSeconds: 60 };
+
+test('haversineDistance measures metres along the surface', () => {
+    assert.equal(haversineDistance(27.7, 85.3, 27.7, 85.3), 0);
+    // One degree of latitude is about 111.2 km
+    assert.ok(Math.abs(haversineDistance(27, 85.3, 28, 85.3) - 111195) < 10);
+});
+
+test('isInsideGeofence handles circles and polygons', () => {
+    assert.ok(isInsideGeofence(CIRCLE, 27.7, 85.3));
+    assert.ok(isInsideGeofence(CIRCLE, 27.703, 85.3)); // About 330 m north
+    assert.ok(!isInsideGeofence(CIRCLE, 27.706, 85.3)); // About 670 m north
+    assert.ok(isInsideGeofence(SQUARE, 27.7, 85.3));
+    assert.ok(!isInsideGeofence(SQUARE, 27.9, 85.3));
+});
+
+test('isValidLatLon rejects out of range and non-numeric coordinates', () => {
+    assert.ok(isValidLatLon(-90, 180));
+    assert.ok(!isValidLatLon(91, 0));
+    assert.ok(!isValidLatLon(0, -181));
+    assert.ok(!isValidLatLon('27.7', 85.3));
+});
+
+test('a side change fires only once it is seen on consecutive fixes', () => {
+    const state = createGeofenceState(false, 0);
+    assert.equal(advanceGeofenceState(state, CIRCLE, true, 1000), null);
+    // Back outside before the entry was confirmed: the pending entry is forgotten
+    assert.equal(advanceGeofenceState(state, CIRCLE, false, 2000), null);
+    assert.equal(advanceGeofenceState(state, CIRCLE, true, 3000), null);
+    assert.deepEqual(advanceGeofenceState(state, CIRCLE, true, 4000), { event: 'enter', details: {} });
+    assert.equal(state.enteredAt, 4000);
+
+    assert.equal(advanceGeofenceState(state, CIRCLE, false, 10000), null);
+    assert.deepEqual(advanceGeofenceState(state, CIRCLE, false, 11000), { event: 'exit', details: { dwellSeconds: 7 } });
+});
+
+test('dwell fires once per visit after dwellSeconds inside', () => {
+    const state = createGeofenceState(true, 0);
+    assert.equal(advanceGeofenceState(state, CIRCLE, true, 59000), null);
+    assert.deepEqual(advanceGeofenceState(state, CIRCLE, true, 61000), { event: 'dwell', details: { dwellSeconds: 61 } });
+    assert.equal(advanceGeofenceState(state, CIRCLE, true, 120000), null);
+
+    // Leave and come back: a new visit can dwell again
+    advanceGeofenceState(state, CIRCLE, false, 121000);
+    advanceGeofenceState(state, CIRCLE, false, 122000);
+    advanceGeofenceState(state, CIRCLE, true, 123000);
+    assert.equal(advanceGeofenceState(state, CIRCLE, true, 124000).event, 'enter');
+    assert.equal(advanceGeofenceState(state, CIRCLE, true, 185000).event, 'dwell');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const { buildGT06Response } = require('../lib/gt06');
+const { encodeLocation } = require('../sim/gt06-simulator');
+const { CELL, FIX, startTestServer, adminApi, loginDevice, fixAt } = require('./helpers');
+
+const INSIDE = { lat: 27.7, lon: 85.3 };
+const OUTSIDE = { lat: 27.8, lon: 85.3 };
+
+// A location packet whose course/status word says the GPS has no fix
+function unpositionedFixAt(position) {
+    return serial => {
+        const frame = encodeLocation({ ...FIX, time: new Date(), ...position }, CELL, serial);
+        const content = Buffer.from(frame.subarray(4, frame.length - 6));
+        content.writeUInt16BE(content.readUInt16BE(16) & ~0x1000, 16);
+        return buildGT06Response(0x12, serial, content);
+    };
+}
+
+async function startWithFence(t, fence = {}) {
+    const server = await startTestServer(t);
+    const { status } = await adminApi(server, '/api/geofences', {
+        method: 'POST',
+        body: { name: 'Depot', type: 'circle', center: INSIDE, radius: 500, ...fence }
+    });
+    assert.equal(status, 201);
+    const device = await loginDevice(server);
+    const events = async () => (await adminApi(server, '/api/events?type=geofence')).body.events.map(event => event.event);
+    return { ...device, events };
+}
+
+test('enter and exit fire only after consecutive fixes on the new side', async t => {
+    const { send, events } = await startWithFence(t);
+
+    await send(fixAt(OUTSIDE)); // First fix: the starting side, no event
+    await send(fixAt(INSIDE));
+    await send(fixAt(OUTSIDE)); // A single stray fix inside is debounced away
+    await send(fixAt(INSIDE));
+    assert.deepEqual(await events(), []);
+
+    await send(fixAt(INSIDE));
+    assert.deepEqual(await events(), ['enter']);
+
+    await send(fixAt(OUTSIDE));
+    await send(fixAt(OUTSIDE));
+    assert.deepEqual(await events(), ['enter', 'exit']);
+});
+
+test('dwell fires once per visit after dwellSeconds inside', async t => {
+    const { send, events } = await startWithFence(t, { dwellSeconds: 1 });
+
+    await send(fixAt(INSIDE));
+    await delay(1100);
+    await send(fixAt(INSIDE));
+    await send(fixAt(INSIDE));
+    assert.deepEqual(await events(), ['dwell']);
+});
+
+test('fixes without a GPS position are not evaluated against fences', async t => {
+    const { send, events } = await startWithFence(t);
+
+    await send(fixAt(OUTSIDE));
+    const record = await send(unpositionedFixAt(INSIDE));
+    assert.equal(record.gpsPositioned, false);
+    await send(unpositionedFixAt(INSIDE));
+    assert.deepEqual(await events(), []);
+
+    // Nor do they count towards the debounce of positioned fixes
+    await send(fixAt(INSIDE));
+    await send(unpositionedFixAt(OUTSIDE));
+    assert.deepEqual(await events(), []);
+    await send(fixAt(INSIDE));
+    assert.deepEqual(await events(), ['enter']);
+});
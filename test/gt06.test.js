@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    crcItu,
+    buildGT06Response,
+    extractGT06Frames,
+    parseGT06Data,
+    decodeImeiFromBcd,
+    parseDatetime,
+    gt06Adapter
+} = require('../lib/gt06');
+const { encodeLogin, encodeLocation, encodeHeartbeat, encodeAlarm } = require('../sim/gt06-simulator');
+
+// The examples from the server.js header, captured from a real device
+const LOGIN_HEX = '78780d0108680220385317240001bba00d0a';
+const LOCATION_HEX = '78781f12180a13091e00c90302287808d98c6428345a01ad011234005678000264a30d0a';
+
+const FIX = { time: new Date(Date.UTC(2026, 9, 19, 6, 30, 0)), lat: 27.7, lon: 85.3, speed: 42, course: 135, satellites: 9 };
+const CELL = { mcc: 429, mnc: 1, lac: 0x1234, cellId: 0x5678 };
+const STATUS = { acc: true, charging: false, voltageLevel: 5, gsmSignal: 3 };
+
+function frameOf(hex) {
+    const { frames } = extractGT06Frames(Buffer.from(hex, 'hex'));
+    return frames[0];
+}
+
+test('crcItu matches the error check of captured frames', () => {
+    for (const hex of [LOGIN_HEX, LOCATION_HEX]) {
+        const frame = Buffer.from(hex, 'hex');
+        assert.equal(crcItu(frame.subarray(2, frame.length - 4)), frame.readUInt16BE(frame.length - 4));
+    }
+});
+
+test('buildGT06Response builds a login ACK with a valid error check', () => {
+    const ack = buildGT06Response(0x01, 1);
+    assert.equal(ack.toString('hex', 0, 6), '787805010001');
+    assert.equal(ack.readUInt16BE(6), crcItu(ack.subarray(2, 6)));
+    assert.equal(ack.toString('hex', 8), '0d0a');
+});
+
+test('parseGT06Data decodes the captured login and location packets', () => {
+    const login = parseGT06Data(frameOf(LOGIN_HEX));
+    assert.equal(login.type, 'login');
+    assert.equal(login.imei, '868022038531724');
+    assert.equal(login.serial, 1);
+
+    const location = parseGT06Data(frameOf(LOCATION_HEX));
+    assert.equal(location.type, 'location');
+    assert.equal(location.datetime.toISOString(), '2024-10-19T09:30:00.000Z');
+    assert.equal(location.satellites, 9);
+    assert.equal(location.lat, 28.0406);
+    assert.equal(location.lon, 82.4861);
+    assert.equal(location.speed, 40);
+    assert.equal(location.course, 90);
+});
+
+test('parseGT06Data round-trips simulator location, heartbeat and alarm packets', () => {
+    const location = parseGT06Data(encodeLocation(FIX, CELL, 2));
+    assert.equal(location.type, 'location');
+    assert.equal(location.datetime.toISOString(), FIX.time.toISOString());
+    assert.ok(Math.abs(location.lat - FIX.lat) < 1e-5);
+    assert.ok(Math.abs(location.lon - FIX.lon) < 1e-5);
+    assert.equal(location.speed, FIX.speed);
+    assert.equal(location.course, FIX.course);
+    assert.equal(location.lac, CELL.lac);
+    assert.equal(location.cellId, CELL.cellId);
+
+    const heartbeat = parseGT06Data(encodeHeartbeat(STATUS, 3));
+    assert.equal(heartbeat.type, 'heartbeat');
+    assert.equal(heartbeat.acc, true);
+    assert.equal(heartbeat.charging, false);
+
+    const alarm = parseGT06Data(encodeAlarm(FIX, CELL, STATUS, 0x01, 4));
+    assert.equal(alarm.type, 'alarm');
+    assert.equal(alarm.alarmType, 'sos');
+});
+
+test('parseGT06Data reports a corrupted error check as crc_error', () => {
+    const frame = Buffer.from(encodeLocation(FIX, CELL, 2));
+    frame[10] ^= 0xFF;
+    assert.equal(parseGT06Data(frame).type, 'crc_error');
+});
+
+test('parseGT06Data rejects frames too short for their protocol number', () => {
+    // A location packet (0x12) with a valid error check but only 4 content bytes
+    const frame = buildGT06Response(0x12, 7, Buffer.from([0x18, 0x0a, 0x13, 0x09]));
+    const packet = parseGT06Data(frame);
+    assert.equal(packet.type, 'invalid');
+    assert.match(packet.reason, /too short/);
+});
+
+test('extractGT06Frames splits concatenated frames, skips noise and keeps a partial tail', () => {
+    const login = encodeLogin('868022038531724', 1);
+    const location = encodeLocation(FIX, CELL, 2);
+    const stream = Buffer.concat([Buffer.from('noise'), login, location.subarray(0, 10)]);
+
+    const { frames, rest, discarded } = extractGT06Frames(stream);
+    assert.equal(frames.length, 1);
+    assert.deepEqual(frames[0], login);
+    assert.equal(discarded, 5);
+    assert.deepEqual(rest, location.subarray(0, 10));
+
+    const next = extractGT06Frames(Buffer.concat([rest, location.subarray(10)]));
+    assert.equal(next.frames.length, 1);
+    assert.deepEqual(next.frames[0], location);
+    assert.equal(next.rest.length, 0);
+});
+
+test('gt06Adapter decodes a stream and ACKs logins and heartbeats', () => {
+    const stream = Buffer.concat([encodeLogin('868022038531724', 1), encodeHeartbeat(STATUS, 2), encodeLocation(FIX, CELL, 3)]);
+    const { packets, rest } = gt06Adapter.decode(stream);
+    assert.deepEqual(packets.map(packet => packet.type), ['login', 'heartbeat', 'location']);
+    assert.equal(rest.length, 0);
+    assert.deepEqual(gt06Adapter.encodeAck(packets[0]), buildGT06Response(0x01, 1));
+    assert.deepEqual(gt06Adapter.encodeAck(packets[1]), buildGT06Response(0x13, 2));
+});
+
+test('decodeImeiFromBcd and parseDatetime', () => {
+    assert.equal(decodeImeiFromBcd('0868022038531724'), '086802203853172');
+    assert.equal(parseDatetime(Buffer.from([26, 10, 19, 12, 0, 0])).toISOString(), '2026-10-19T12:00:00.000Z');
+    assert.equal(parseDatetime(Buffer.from([26, 10])), null);
+});
+
+test('extractGT06Frames skips start bits declaring a frame longer than the limit', () => {
+    const logins = Array.from({ length: 300 }, (_, i) => encodeLogin('868022038531724', i + 1));
+    const stream = Buffer.concat([Buffer.from('7979ffff', 'hex'), ...logins]);
+
+    const { frames, rest, discarded } = extractGT06Frames(stream, 4096);
+    assert.equal(frames.length, 300);
+    assert.deepEqual(frames[299], logins[299]);
+    assert.equal(rest.length, 0);
+    assert.equal(discarded, 4);
+
+    // Without a limit the same bytes are a partial 65 KB frame
+    assert.equal(extractGT06Frames(stream).frames.length, 0);
+});
@@ -0,0 +1,95 @@
+// Shared fixtures for the server tests: a tracking server on ephemeral ports with in-memory
+// storage, and a GT06 device talking to it
+const net = require('net');
+const { once } = require('events');
+const { createTrackingServer } = require('../lib');
+const { encodeLogin, encodeLocation } = require('../sim/gt06-simulator');
+
+const IMEI = '868022038531724';
+const FIX = { time: new Date(Date.UTC(2026, 9, 19, 6, 30, 0)), lat: 27.7, lon: 85.3, speed: 42, course: 135, satellites: 9 };
+const CELL = { mcc: 429, mnc: 1, lac: 1, cellId: 1 };
+const ADMIN_TOKEN = 'admin-token';
+const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
+
+function createTestServer(config = {}, options = {}) {
+    return createTrackingServer({
+        config: {
+            httpPort: 0,
+            tcpListeners: [{ port: 0, protocol: 'auto' }],
+            storageBackend: 'memory',
+            unknownDevicePolicy: 'accept',
+            apiAdminTokens: [ADMIN_TOKEN],
+            ...config
+        },
+        logger: silentLogger,
+        ...options
+    });
+}
+
+// Started server, stopped when the test ends even if an assertion failed
+async function startTestServer(t, config, options) {
+    const server = createTestServer(config, options);
+    await server.start();
+    t.after(() => server.stop());
+    return server;
+}
+
+function api(server, path, options = {}) {
+    return fetch(`http://127.0.0.1:${server.addresses().http}${path}`, options);
+}
+
+// JSON API call with the admin token; resolves with the parsed body and the status
+async function adminApi(server, path, { method = 'GET', body } = {}) {
+    const response = await api(server, path, {
+        method,
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+async function connectDevice(server) {
+    const socket = net.connect(server.addresses().tcp[0].port, '127.0.0.1');
+    await once(socket, 'connect');
+    socket.resume(); // Like a real device, read ACKs and the server's FIN so stop() need not wait
+    return socket;
+}
+
+// A logged-in GT06 device. send(packet, event) writes a packet (or serial => packet) and waits
+// for the server event that marks it processed: 'position' for fixes, 'heartbeat' for status.
+async function loginDevice(server, imei = IMEI) {
+    const socket = await connectDevice(server);
+    let serial = 1;
+    const loggedIn = once(server, 'login');
+    socket.write(encodeLogin(imei, serial++));
+    await loggedIn;
+
+    const send = async (packet, event = 'position') => {
+        const processed = once(server, event);
+        socket.write(typeof packet === 'function' ? packet(serial++) : packet);
+        const [record] = await processed;
+        return record;
+    };
+    return { socket, send, nextSerial: () => serial++ };
+}
+
+// serial => GT06 location packet at `position` ({ lat, lon, speed, time }) over FIX
+function fixAt(position = {}) {
+    return serial => encodeLocation({ ...FIX, time: new Date(), ...position }, CELL, serial);
+}
+
+module.exports = {
+    IMEI,
+    FIX,
+    CELL,
+    ADMIN_TOKEN,
+    silentLogger,
+    createTestServer,
+    startTestServer,
+    api,
+    adminApi,
+    connectDevice,
+    loginDevice,
+    fixAt
+};
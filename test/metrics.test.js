@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../lib/metrics');
+
+test('counters render one series per label set, after the live values', () => {
+    const metrics = new MetricsRegistry('gps_tracker');
+    metrics.defineCounter('packets_total', 'Device packets decoded');
+    metrics.incrementCounter('packets_total', { protocol: 'gt06', type: 'login' });
+    metrics.incrementCounter('packets_total', { type: 'login', protocol: 'gt06' }, 2); // Same series, other key order
+    metrics.incrementCounter('packets_total', { protocol: 'h02', type: 'say "hi"\n' });
+
+    const text = metrics.render((metric, sample) => {
+        metric('up_seconds', 'gauge', 'Seconds since the server started');
+        sample('up_seconds', {}, 5);
+    });
+    assert.equal(text, [
+        '# HELP gps_tracker_up_seconds Seconds since the server started',
+        '# TYPE gps_tracker_up_seconds gauge',
+        'gps_tracker_up_seconds 5',
+        '# HELP gps_tracker_packets_total Device packets decoded',
+        '# TYPE gps_tracker_packets_total counter',
+        'gps_tracker_packets_total{protocol="gt06",type="login"} 3',
+        'gps_tracker_packets_total{protocol="h02",type="say \\"hi\\"\\n"} 1',
+        ''
+    ].join('\n'));
+});
+
+test('histograms count each observation in every bucket it fits', () => {
+    const metrics = new MetricsRegistry('gps_tracker');
+    metrics.defineHistogram('latency_seconds', 'Latency', [0.1, 1]);
+    for (const value of [0.05, 0.5, 5, -1, NaN]) metrics.observeHistogram('latency_seconds', { source: 'device' }, value);
+
+    const lines = metrics.render().split('\n');
+    assert.ok(lines.includes('gps_tracker_latency_seconds_bucket{source="device",le="0.1"} 1'));
+    assert.ok(lines.includes('gps_tracker_latency_seconds_bucket{source="device",le="1"} 2'));
+    assert.ok(lines.includes('gps_tracker_latency_seconds_bucket{source="device",le="+Inf"} 3'));
+    assert.ok(lines.includes('gps_tracker_latency_seconds_sum{source="device"} 5.55'));
+    assert.ok(lines.includes('gps_tracker_latency_seconds_count{source="device"} 3'));
+});
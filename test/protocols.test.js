@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROTOCOL_ADAPTERS, detectProtocol, parseTeltonikaAvl } = require('../lib/protocols');
+const { encodeLogin } = require('../sim/gt06-simulator');
+
+const IMEI = '359586015829802';
+const H02_POSITION = `*HQ,${IMEI},V1,063000,A,2742.0000,N,08518.0000,E,10.00,90,191026,FFFFFBFF#`;
+const TK103_POSITION = `imei:${IMEI},tracker,2610191230,,F,063000.000,A,2742.0000,N,08518.0000,E,10.00,90;`;
+
+// CRC-16/IBM over the AVL data, as a Teltonika device computes it
+function crc16Ibm(buffer) {
+    let crc = 0;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+    }
+    return crc;
+}
+
+// Codec 8 data with one record at 27.7, 85.3 and ignition (IO 239) on
+function teltonikaAvlData(recordCount = 1) {
+    const record = Buffer.alloc(24);
+    record.writeBigUInt64BE(BigInt(Date.UTC(2026, 9, 19, 6, 30)));
+    record.writeInt32BE(853000000, 9);
+    record.writeInt32BE(277000000, 13);
+    record.writeUInt16BE(90, 19);
+    record[21] = 8;
+    record.writeUInt16BE(36, 22);
+    const io = Buffer.from([0, 1, 1, 239, 1, 0, 0, 0]);
+    return Buffer.concat([Buffer.from([0x08, recordCount]), record, io, Buffer.from([recordCount])]);
+}
+
+function teltonikaFrame(data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 4);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc16Ibm(data));
+    return Buffer.concat([header, data, crc]);
+}
+
+function teltonikaLogin(imei) {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(imei.length);
+    return Buffer.concat([length, Buffer.from(imei)]);
+}
+
+test('detectProtocol recognises each protocol from its first bytes', () => {
+    assert.equal(detectProtocol(Buffer.from(H02_POSITION)).name, 'h02');
+    assert.equal(detectProtocol(Buffer.from(`##,imei:${IMEI},A;`)).name, 'tk103');
+    assert.equal(detectProtocol(teltonikaLogin(IMEI)).name, 'teltonika');
+    assert.equal(detectProtocol(encodeLogin('868022038531724', 1)).name, 'gt06');
+    assert.equal(detectProtocol(Buffer.from('GET / HTTP/1.1\r\n')), null);
+});
+
+test('h02 adapter decodes positions and keeps a partial message', () => {
+    const { packets, rest } = PROTOCOL_ADAPTERS.h02.decode(Buffer.from(H02_POSITION + '*HQ,' + IMEI));
+    assert.equal(packets.length, 1);
+    const [position] = packets;
+    assert.equal(position.type, 'location');
+    assert.equal(position.imei, IMEI);
+    assert.equal(position.lat, 27.7);
+    assert.equal(position.lon, 85.3);
+    assert.equal(position.speed, 19);
+    assert.equal(position.datetime.toISOString(), '2026-10-19T06:30:00.000Z');
+    assert.equal(rest.toString(), '*HQ,' + IMEI);
+});
+
+test('tk103 adapter decodes login, heartbeat and position and answers LOAD / ON', () => {
+    const adapter = PROTOCOL_ADAPTERS.tk103;
+    const { packets } = adapter.decode(Buffer.from(`##,imei:${IMEI},A;${IMEI};${TK103_POSITION}`));
+    assert.deepEqual(packets.map(packet => packet.type), ['login', 'heartbeat', 'location']);
+    assert.equal(adapter.encodeAck(packets[0]).toString(), 'LOAD');
+    assert.equal(adapter.encodeAck(packets[1]).toString(), 'ON');
+    assert.equal(packets[2].lat, 27.7);
+    assert.equal(packets[2].lon, 85.3);
+});
+
+test('text adapters reject malformed IMEIs as invalid', () => {
+    const [h02] = PROTOCOL_ADAPTERS.h02.decode(Buffer.from('*HQ,<img src=x>,XT#')).packets;
+    assert.equal(h02.type, 'invalid');
+    const [tk103] = PROTOCOL_ADAPTERS.tk103.decode(Buffer.from('##,imei:12ab,A;')).packets;
+    assert.equal(tk103.type, 'invalid');
+});
+
+test('teltonika adapter decodes the IMEI handshake and an AVL packet', () => {
+    const adapter = PROTOCOL_ADAPTERS.teltonika;
+    const { packets, rest } = adapter.decode(Buffer.concat([teltonikaLogin(IMEI), teltonikaFrame(teltonikaAvlData())]));
+    assert.equal(rest.length, 0);
+    assert.deepEqual(packets.map(packet => packet.type), ['login', 'location']);
+    assert.equal(packets[0].imei, IMEI);
+    assert.deepEqual(adapter.encodeAck(packets[0]), Buffer.from([0x01]));
+
+    const position = packets[1];
+    assert.equal(position.lat, 27.7);
+    assert.equal(position.lon, 85.3);
+    assert.equal(position.speed, 36);
+    assert.equal(position.acc, true);
+    assert.deepEqual(adapter.encodeAck(position), Buffer.from([0, 0, 0, 1]));
+});
+
+test('teltonika AVL data that does not fit its record count is invalid', () => {
+    const [overCounted] = parseTeltonikaAvl(teltonikaAvlData(5));
+    assert.equal(overCounted.type, 'invalid');
+
+    const data = teltonikaAvlData();
+    for (let length = 0; length < data.length; length++) {
+        assert.equal(parseTeltonikaAvl(data.subarray(0, length))[0].type, 'invalid');
+    }
+});
+
+test('teltonika frames with a bad CRC are reported and consumed', () => {
+    const frame = teltonikaFrame(teltonikaAvlData());
+    frame[20] ^= 0xFF;
+    const { packets, rest } = PROTOCOL_ADAPTERS.teltonika.decode(frame);
+    assert.equal(packets[0].type, 'crc_error');
+    assert.equal(rest.length, 0);
+});
+
+test('h02 NBR reports keep to the cells that arrived and reject oversized counts', () => {
+    const decode = message => PROTOCOL_ADAPTERS.h02.decode(Buffer.from(message)).packets[0];
+
+    const lbs = decode(`*HQ,${IMEI},NBR,063000,429,1,0,2,1234,5678,40,1235,5679,35,191026,FFFFFBFF#`);
+    assert.equal(lbs.type, 'lbs');
+    assert.equal(lbs.cells.length, 2);
+    assert.equal(lbs.lac, 1234);
+    assert.equal(lbs.datetime.toISOString(), '2026-10-19T06:30:00.000Z');
+
+    assert.equal(decode(`*HQ,${IMEI},NBR,063000,429,1,0,3000000#`).type, 'invalid');
+    assert.equal(decode(`*HQ,${IMEI},NBR,063000,429,1,0,3,1234,5678,40,191026,FFFFFBFF#`).type, 'invalid');
+    const eightCells = Array.from({ length: 8 }, (_, i) => `1234,${5678 + i},40`).join(',');
+    assert.equal(decode(`*HQ,${IMEI},NBR,063000,429,1,0,8,${eightCells},191026,FFFFFBFF#`).type, 'invalid');
+});
+
+test('h02 positions with an unreadable speed report 0 km/h', () => {
+    const [position] = PROTOCOL_ADAPTERS.h02.decode(Buffer.from(H02_POSITION.replace(',10.00,', ',--,'))).packets;
+    assert.equal(position.type, 'location');
+    assert.equal(position.speed, 0);
+});
+
+test('text adapters skip an unterminated message longer than the frame limit', () => {
+    const noise = Buffer.from('*HQ,' + '0'.repeat(5000));
+    const h02 = PROTOCOL_ADAPTERS.h02.decode(Buffer.concat([noise, Buffer.from(H02_POSITION)]), { maxFrameLength: 4096 });
+    assert.deepEqual(h02.packets.map(packet => packet.type), ['location']);
+    assert.equal(h02.rest.length, 0);
+
+    const tk103 = PROTOCOL_ADAPTERS.tk103.decode(Buffer.from('0'.repeat(5000)), { maxFrameLength: 4096 });
+    assert.equal(tk103.rest.length, 4096);
+    assert.equal(tk103.discarded, 904);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { encodeLogin, encodeHeartbeat } = require('../sim/gt06-simulator');
+const { IMEI, startTestServer, adminApi, connectDevice, fixAt } = require('./helpers');
+
+const STATUS = { acc: true, charging: false, voltageLevel: 5, gsmSignal: 3 };
+
+// Writes a packet that the server ACKs and waits for the ACK
+async function sendAcked(socket, packet) {
+    const acked = once(socket, 'data');
+    socket.write(packet);
+    await acked;
+}
+
+test('an unknown device is quarantined and lifted by registering it, without reconnecting', async t => {
+    const server = await startTestServer(t, { unknownDevicePolicy: 'quarantine' });
+    const positions = [];
+    server.on('position', record => positions.push(record));
+
+    const socket = await connectDevice(server);
+    await sendAcked(socket, encodeLogin(IMEI, 1));
+    socket.write(fixAt()(2));
+    await sendAcked(socket, encodeHeartbeat(STATUS, 3));
+
+    const quarantine = (await adminApi(server, '/api/devices/quarantine')).body;
+    assert.equal(quarantine.length, 1);
+    assert.equal(quarantine[0].imei, IMEI);
+    assert.equal(quarantine[0].packetCount, 3);
+    assert.equal(quarantine[0].lastPacketType, 'heartbeat');
+    assert.equal((await adminApi(server, `/api/trackers/${IMEI}`)).status, 404);
+    assert.deepEqual(positions, []);
+
+    assert.equal((await adminApi(server, '/api/devices', { method: 'POST', body: { imei: IMEI } })).status, 201);
+    assert.deepEqual((await adminApi(server, '/api/devices/quarantine')).body, []);
+
+    // The same connection is now a tracker
+    const position = once(server, 'position');
+    socket.write(fixAt({ lat: 27.71 })(4));
+    const [record] = await position;
+    assert.equal(record.imei, IMEI);
+    assert.equal((await adminApi(server, `/api/trackers/${IMEI}`)).body.lat, 27.71);
+});
+
+test('unknown and disabled devices are disconnected under the reject policy', async t => {
+    const server = await startTestServer(t, { unknownDevicePolicy: 'reject' });
+    const other = '868022038531725';
+    await adminApi(server, '/api/devices', { method: 'POST', body: { imei: other, enabled: false } });
+
+    for (const imei of [IMEI, other]) {
+        const socket = await connectDevice(server);
+        const closed = once(socket, 'close');
+        socket.write(encodeLogin(imei, 1));
+        await closed;
+    }
+    assert.equal((await adminApi(server, '/api/trackers')).body.totalTrackers, 0);
+    assert.deepEqual((await adminApi(server, '/api/devices/quarantine')).body, []);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { IMEI, startTestServer, adminApi, loginDevice, fixAt } = require('./helpers');
+
+test('a second login for an IMEI closes the superseded session without going offline', async t => {
+    const server = await startTestServer(t);
+    const disconnects = [];
+    server.on('disconnect', event => disconnects.push(event));
+
+    const first = await loginDevice(server);
+    const firstClosed = once(first.socket, 'close');
+    const second = await loginDevice(server);
+    await firstClosed;
+
+    await second.send(fixAt({ lat: 27.71 }));
+    let tracker = (await adminApi(server, `/api/trackers/${IMEI}`)).body;
+    assert.equal(tracker.status, 'online');
+    assert.equal(tracker.sessionCount, 2);
+    assert.equal(tracker.lat, 27.71);
+    assert.deepEqual(disconnects, []);
+
+    // Only the live session going away takes the device offline
+    const disconnected = once(server, 'disconnect');
+    second.socket.end();
+    const [event] = await disconnected;
+    assert.equal(event.imei, IMEI);
+    tracker = (await adminApi(server, `/api/trackers/${IMEI}`)).body;
+    assert.equal(tracker.status, 'offline');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryPositionStore, JsonlPositionStore } = require('../lib/storage');
+const { IMEI, silentLogger } = require('./helpers');
+
+// A device replaying buffered fixes after a coverage gap: arrival order is not time order
+const ARRIVALS = ['10:00', '10:01', '09:58', '09:59', '10:02'].map((time, index) => ({
+    imei: IMEI,
+    lat: 27.7 + index / 1000,
+    lon: 85.3,
+    datetime: `2026-10-19T${time}:00.000Z`,
+    receivedTime: `2026-10-19T10:0${index}:30.000Z`
+}));
+
+const BACKENDS = {
+    memory: async () => new MemoryPositionStore(),
+    jsonl: async t => {
+        const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gps-storage-'));
+        t.after(() => fs.promises.rm(dataDir, { recursive: true, force: true }));
+        return new JsonlPositionStore(dataDir, silentLogger);
+    }
+};
+
+for (const [name, createStore] of Object.entries(BACKENDS)) {
+    test(`${name} store returns history ordered by position time, then paged`, async t => {
+        const store = await createStore(t);
+        await store.init();
+        for (const record of ARRIVALS) await store.appendPosition(record);
+
+        const all = await store.queryHistory(IMEI);
+        assert.equal(all.total, 5);
+        assert.deepEqual(all.positions.map(record => record.datetime.slice(11, 16)), ['09:58', '09:59', '10:00', '10:01', '10:02']);
+
+        const page = await store.queryHistory(IMEI, { limit: 2, offset: 1 });
+        assert.equal(page.total, 5);
+        assert.deepEqual(page.positions.map(record => record.datetime.slice(11, 16)), ['09:59', '10:00']);
+
+        const range = await store.queryHistory(IMEI, { from: new Date('2026-10-19T09:59:00Z'), to: new Date('2026-10-19T10:00:00Z') });
+        assert.deepEqual(range.positions.map(record => record.datetime.slice(11, 16)), ['09:59', '10:00']);
+
+        await store.close();
+    });
+
+    test(`${name} store restores the fix with the latest position time`, async t => {
+        const store = await createStore(t);
+        await store.init();
+        for (const record of ARRIVALS.slice(0, 4)) await store.appendPosition(record);
+
+        // The last line is the replayed 09:59 fix, the latest position is 10:01
+        const latest = await store.loadLatest();
+        assert.equal(latest.get(IMEI).datetime.slice(11, 16), '10:01');
+        await store.close();
+    });
+
+    test(`${name} store pages a long shuffled history in position-time order`, async t => {
+        const store = await createStore(t);
+        await store.init();
+        const minutes = Array.from({ length: 200 }, (_, i) => (i * 37) % 200);
+        for (const minute of minutes) {
+            await store.appendPosition({ imei: IMEI, lat: 27.7, lon: 85.3, datetime: new Date(Date.UTC(2026, 9, 19, 0, minute)).toISOString() });
+        }
+
+        const page = await store.queryHistory(IMEI, { limit: 5, offset: 120 });
+        assert.equal(page.total, 200);
+        assert.deepEqual(page.positions.map(record => (Date.parse(record.datetime) - Date.UTC(2026, 9, 19)) / 60000), [120, 121, 122, 123, 124]);
+        await store.close();
+    });
+}
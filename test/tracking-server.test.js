@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { buildGT06Response } = require('../lib/gt06');
+const { encodeLogin, encodeLocation } = require('../sim/gt06-simulator');
+const { IMEI, FIX, CELL, ADMIN_TOKEN, createTestServer, startTestServer, api, connectDevice } = require('./helpers');
+
+test('start() binds ephemeral ports and stop() releases them', async () => {
+    const server = createTestServer();
+    await server.start();
+    const { tcp, http } = server.addresses();
+    assert.equal(tcp.length, 1);
+    assert.ok(tcp[0].port > 0);
+    assert.ok(http > 0);
+    assert.equal((await api(server, '/readyz')).status, 200);
+    await assert.rejects(server.start(), /already running/);
+
+    await server.stop();
+    assert.equal(server.addresses().http, null);
+    await server.stop(); // A second stop is a no-op
+});
+
+test('a GT06 device is ACKed and its positions are emitted and stored', async () => {
+    const server = createTestServer();
+    const positions = [];
+    server.on('position', record => positions.push(record));
+    await server.start();
+
+    const socket = await connectDevice(server);
+    const loggedIn = once(server, 'login');
+    socket.write(encodeLogin(IMEI, 1));
+    const [ack] = await once(socket, 'data');
+    assert.deepEqual(ack, buildGT06Response(0x01, 1));
+    const [login] = await loggedIn;
+    assert.equal(login.imei, IMEI);
+
+    const positioned = once(server, 'position');
+    socket.write(encodeLocation(FIX, CELL, 2));
+    await positioned;
+
+    assert.equal(positions.length, 1);
+    assert.ok(Math.abs(server.getTracker(IMEI).lat - FIX.lat) < 1e-5);
+    const history = await (await api(server, `/api/trackers/${IMEI}/history`)).json();
+    assert.equal(history.total, 1);
+
+    const disconnected = once(server, 'disconnect');
+    await server.stop();
+    const [event] = await disconnected;
+    assert.equal(event.imei, IMEI);
+    assert.ok(socket.destroyed || socket.readableEnded);
+});
+
+test('a frame that fails to parse does not stall the connection', async t => {
+    const server = await startTestServer(t);
+    const socket = await connectDevice(server);
+    const loggedIn = once(server, 'login');
+    socket.write(encodeLogin(IMEI, 1));
+    await loggedIn;
+
+    // Valid error check, but far too short for a location packet
+    const positioned = once(server, 'position');
+    socket.write(Buffer.concat([buildGT06Response(0x12, 2, Buffer.from([0x18])), encodeLocation(FIX, CELL, 3)]));
+    const [record] = await positioned;
+    assert.equal(record.imei, IMEI);
+});
+
+test('API tokens: reads need a viewer token, changes an admin token', async t => {
+    const server = await startTestServer(t, { wsViewerTokens: ['viewer'], apiAdminTokens: ['admin'] });
+    const withToken = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal((await api(server, '/api/trackers')).status, 401);
+    assert.equal((await api(server, '/api/trackers', withToken('viewer'))).status, 200);
+    assert.equal((await api(server, '/api/trackers?token=wrong')).status, 403);
+    assert.equal((await api(server, '/healthz')).status, 200);
+
+    const device = { method: 'POST', body: JSON.stringify({ imei: IMEI, name: 'Truck 1' }) };
+    assert.equal((await api(server, '/api/devices', { ...device, ...withToken('viewer') })).status, 403);
+    assert.equal((await api(server, '/api/devices', { ...device, ...withToken('admin') })).status, 201);
+});
+
+test('a stopped server can be started again', async () => {
+    const server = createTestServer();
+    await server.start();
+    await server.stop();
+    await server.start();
+
+    const socket = await connectDevice(server);
+    const loggedIn = once(server, 'login');
+    socket.write(encodeLogin(IMEI, 1));
+    const [login] = await loggedIn;
+    assert.equal(login.imei, IMEI);
+
+    await server.stop();
+});
+
+test('?token= values are redacted from request logs', async t => {
+    const logged = [];
+    const capture = (...args) => logged.push(JSON.stringify(args));
+    const server = await startTestServer(t, { wsViewerTokens: ['viewer-secret'] }, {
+        logger: { error: capture, warn: capture, info: capture, debug: capture }
+    });
+
+    assert.equal((await api(server, '/api/trackers?token=viewer-secret&x=1')).status, 200);
+    assert.ok(logged.some(line => line.includes('/api/trackers?token=[redacted]&x=1')));
+    assert.ok(!logged.some(line => line.includes('viewer-secret')));
+});
+
+test('/metrics reports fleet totals without per-IMEI series', async t => {
+    const server = await startTestServer(t);
+    const socket = await connectDevice(server);
+    const positioned = once(server, 'position');
+    socket.write(Buffer.concat([encodeLogin(IMEI, 1), encodeLocation(FIX, CELL, 2)]));
+    await positioned;
+
+    const metrics = await (await api(server, '/metrics')).text();
+    assert.match(metrics, /^gps_tracker_messages_total 1$/m);
+    assert.match(metrics, /^gps_tracker_queue_depth_max 0$/m);
+    assert.ok(!metrics.includes(IMEI));
+});
+
+test('request bodies that are not JSON objects are rejected with 400', async t => {
+    const server = await startTestServer(t);
+    const post = (path, body) => api(server, path, { method: 'POST', headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }, body });
+
+    for (const body of ['null', '[]', '42']) {
+        const response = await post('/api/devices', body);
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /must be a JSON object/);
+    }
+    assert.equal((await post(`/api/trackers/${IMEI}/commands`, 'null')).status, 400);
+    assert.equal((await post('/api/alerts/unknown/ack', 'null')).status, 400);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectTrips } = require('../lib/trips');
+const { IMEI, startTestServer, adminApi, loginDevice, fixAt } = require('./helpers');
+
+const START = Date.UTC(2026, 9, 19, 6, 0);
+const METERS_PER_DEGREE_LAT = 111195;
+
+// One fix per minute: `legs` are [minutes, speed km/h, acc], moving north at that speed
+function drive(legs) {
+    const fixes = [];
+    let minute = 0;
+    let lat = 27.7;
+    for (const [minutes, speed, acc = true] of legs) {
+        for (let i = 0; i < minutes; i++) {
+            lat += speed * 1000 / 60 / METERS_PER_DEGREE_LAT;
+            fixes.push({ lat, lon: 85.3, speed, acc, datetime: new Date(START + minute * 60000).toISOString() });
+            minute++;
+        }
+    }
+    return fixes;
+}
+
+test('a halt longer than the stop threshold splits trips', () => {
+    const { trips, stops } = detectTrips(drive([[10, 0], [10, 36], [10, 0], [5, 36], [5, 0]]));
+
+    assert.equal(trips.length, 2);
+    assert.equal(trips[0].startTime, '2026-10-19T06:09:00.000Z'); // Departure from the last parked fix
+    assert.equal(trips[0].endTime, '2026-10-19T06:20:00.000Z'); // First fix of the halt
+    assert.ok(Math.abs(trips[0].distanceMeters - 6000) < 10);
+    assert.equal(trips[0].maxSpeed, 36);
+    assert.equal(trips[0].ongoing, false);
+    assert.ok(Math.abs(trips[1].distanceMeters - 3000) < 10);
+    assert.equal(trips[1].ongoing, true); // Halted for less than the stop threshold at the end
+
+    // Parked before the first trip and between the two; the final halt is too short to be a stop
+    assert.deepEqual(stops.map(stop => [stop.startTime.slice(11, 16), stop.durationSeconds]), [['06:00', 540], ['06:20', 540]]);
+});
+
+test('switching ACC off ends a trip at once', () => {
+    const { trips } = detectTrips(drive([[5, 36], [1, 0, false], [5, 36]]));
+    assert.equal(trips.length, 2);
+    assert.equal(trips[0].endTime, '2026-10-19T06:05:00.000Z');
+    assert.equal(trips[1].ongoing, true);
+});
+
+test('a gap in the data ends a trip, and arrival order does not matter', () => {
+    const before = drive([[5, 36]]);
+    const after = drive([[5, 36]]).map(fix => ({ ...fix, datetime: new Date(Date.parse(fix.datetime) + 3600000).toISOString() }));
+    const { trips } = detectTrips([...after, ...before].reverse());
+
+    assert.equal(trips.length, 2);
+    assert.equal(trips[0].endTime, '2026-10-19T06:04:00.000Z');
+    assert.equal(trips[1].startTime, '2026-10-19T07:00:00.000Z');
+});
+
+test('movement shorter than the minimum distance is GPS drift, not a trip', () => {
+    const { trips } = detectTrips(drive([[10, 0], [1, 6], [10, 0]]));
+    assert.equal(trips.length, 0);
+});
+
+test('the trips route splits the stored fixes of a device', async t => {
+    const server = await startTestServer(t);
+    const { send } = await loginDevice(server);
+    for (const fix of drive([[10, 0], [10, 36], [10, 0], [5, 36]])) {
+        await send(fixAt({ ...fix, time: new Date(fix.datetime) }));
+    }
+
+    const range = 'from=2026-10-19T05:00:00Z&to=2026-10-19T07:00:00Z';
+    const { status, body } = await adminApi(server, `/api/trackers/${IMEI}/trips?${range}`);
+    assert.equal(status, 200);
+    assert.equal(body.positions, 35);
+    assert.equal(body.truncated, false);
+    assert.deepEqual(body.trips.map(trip => [trip.startTime, trip.endTime, trip.ongoing]), [
+        ['2026-10-19T06:09:00.000Z', '2026-10-19T06:20:00.000Z', false],
+        ['2026-10-19T06:29:00.000Z', '2026-10-19T06:34:00.000Z', true]
+    ]);
+    assert.equal(body.totals.trips, 2);
+    assert.ok(Math.abs(body.totals.distanceMeters - 9000) < 20);
+    assert.equal(body.stops.length, 2);
+
+    assert.equal((await adminApi(server, `/api/trackers/${IMEI}/trips?from=2026-10-19T07:00:00Z&to=2026-10-19T05:00:00Z`)).status, 400);
+    assert.equal((await adminApi(server, `/api/trackers/868022038531725/trips?${range}`)).status, 404);
+});
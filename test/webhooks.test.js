@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const dns = require('dns');
+const crypto = require('crypto');
+const { once, EventEmitter } = require('events');
+const { IMEI, startTestServer, api, adminApi, loginDevice, fixAt } = require('./helpers');
+
+const SECRET = 'webhook-test-secret';
+
+// HTTP endpoint answering deliveries with the next of `statuses` (the last one repeats)
+async function startReceiver(t, statuses) {
+    const deliveries = new EventEmitter();
+    deliveries.received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+            res.writeHead(status).end();
+            deliveries.received.push({ headers: req.headers, body });
+            deliveries.emit('delivery');
+        });
+    });
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+    t.after(() => receiver.close());
+    deliveries.url = `http://127.0.0.1:${receiver.address().port}/hook`;
+    return deliveries;
+}
+
+// Server whose WEBHOOK log lines are events: each retry or dead letter is scheduled in the
+// same tick as its log line, so a test can advance mocked timers right after it
+async function startWithWebhook(t, url, config = {}) {
+    const logs = new EventEmitter();
+    const log = (component, message, metadata) => logs.emit(component, message, metadata);
+    const server = await startTestServer(t, { webhookAllowedHosts: ['127.0.0.1'], ...config }, {
+        logger: { error: log, warn: log, info() {}, debug: log }
+    });
+    const { status, body } = await adminApi(server, '/api/webhooks', {
+        method: 'POST',
+        body: { url, secret: SECRET, events: ['position'] }
+    });
+    assert.equal(status, 201);
+    const nextLog = async () => {
+        const [message, metadata] = await once(logs, 'WEBHOOK');
+        return { message, metadata };
+    };
+    const stats = async () => (await adminApi(server, `/api/webhooks/${body.id}`)).body.stats;
+    return { server, nextLog, stats };
+}
+
+test('deliveries are signed and a failed delivery is retried with the same event id', async t => {
+    const receiver = await startReceiver(t, [503, 200]);
+    const { server, nextLog, stats } = await startWithWebhook(t, receiver.url);
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+
+    const { send } = await loginDevice(server);
+    let log = nextLog();
+    await send(fixAt({ lat: 27.71 }));
+    const failed = await log;
+    assert.equal(failed.message, 'Delivery failed, retrying');
+    assert.equal(failed.metadata.error, 'HTTP 503');
+
+    log = nextLog();
+    t.mock.timers.tick(failed.metadata.retryInMs);
+    assert.equal((await log).message, 'Delivered');
+    t.mock.timers.reset();
+
+    const [first, retry] = receiver.received;
+    assert.equal(first.headers['x-webhook-id'], retry.headers['x-webhook-id']);
+    for (const { headers, body } of receiver.received) {
+        const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+        assert.equal(headers['x-webhook-event'], 'position');
+        const event = JSON.parse(body);
+        assert.equal(event.imei, IMEI);
+        assert.equal(event.data.lat, 27.71);
+    }
+    assert.deepEqual(await stats(), { delivered: 1, failed: 1, deadLettered: 0, pending: 0, lastError: 'HTTP 503' });
+});
+
+test('a delivery failing every attempt is dead-lettered where only admins can read it', async t => {
+    const receiver = await startReceiver(t, [500]);
+    const { server, nextLog, stats } = await startWithWebhook(t, receiver.url);
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+
+    const { send } = await loginDevice(server);
+    let log = nextLog();
+    await send(fixAt());
+    let entry;
+    while ((entry = await log).message === 'Delivery failed, retrying') {
+        log = nextLog();
+        t.mock.timers.tick(entry.metadata.retryInMs);
+    }
+    assert.equal(entry.message, 'Delivery abandoned, moved to dead-letter log');
+    t.mock.timers.reset();
+    assert.equal(receiver.received.length, 6);
+    assert.equal((await stats()).deadLettered, 1);
+
+    const deadLetters = (await adminApi(server, '/api/webhooks/dead-letters')).body.events;
+    assert.equal(deadLetters.length, 1);
+    assert.equal(deadLetters[0].attempts, 6);
+    assert.equal(deadLetters[0].url, receiver.url);
+
+    assert.equal((await adminApi(server, '/api/events?type=webhook_dead_letter')).body.total, 1);
+    assert.equal((await api(server, '/api/events?type=webhook_dead_letter')).status, 403);
+    const viewerEvents = await (await api(server, '/api/events')).json();
+    assert.ok(viewerEvents.events.every(event => event.type !== 'webhook_dead_letter'));
+});
+
+test('a host name that resolves to an internal address at delivery time is refused', async t => {
+    const receiver = await startReceiver(t, [200]);
+    const port = new URL(receiver.url).port;
+    const { server, nextLog, stats } = await startWithWebhook(t, `http://hooks.example.com:${port}/hook`, { webhookAllowedHosts: [] });
+
+    // The name passed the check when the webhook was created, then rebinds to loopback
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    const { send } = await loginDevice(server);
+    const log = nextLog();
+    await send(fixAt());
+    const { message, metadata } = await log;
+    assert.equal(message, 'Delivery failed, retrying');
+    assert.match(metadata.error, /hooks\.example\.com resolves to internal address 127\.0\.0\.1/);
+    assert.equal((await stats()).failed, 1);
+    assert.deepEqual(receiver.received, []);
+});
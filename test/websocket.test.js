@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { IMEI, startTestServer, adminApi, loginDevice, fixAt } = require('./helpers');
+
+const OTHER_IMEI = '868022038531725';
+const DEPOT = { lat: 27.7, lon: 85.3 };
+const AWAY = { lat: 28.5, lon: 84.0 };
+const DEPOT_BBOX = [85.2, 27.6, 85.4, 27.8];
+
+// Feed client. next(...types) resolves with the next message of one of `types`, skipping others.
+async function connectClient(t, server, options = {}) {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.addresses().http}/`, options);
+    const received = [];
+    let wake = null;
+    ws.on('message', data => {
+        received.push(JSON.parse(data));
+        if (wake) wake();
+    });
+    await once(ws, 'open');
+    t.after(() => ws.terminate());
+
+    ws.next = async (...types) => {
+        for (;;) {
+            const index = received.findIndex(message => types.includes(message.type));
+            if (index !== -1) return received.splice(0, index + 1).pop();
+            received.length = 0;
+            await new Promise(resolve => { wake = resolve; });
+        }
+    };
+    ws.subscribe = async message => {
+        ws.send(JSON.stringify(message));
+        const subscribed = await ws.next('subscribed', 'error');
+        if (subscribed.type === 'error') return { subscribed };
+        const snapshot = await ws.next('initial_state');
+        return { subscribed, imeis: snapshot.data.map(tracker => tracker.imei).sort() };
+    };
+    return ws;
+}
+
+test('subscriptions filter the feed and removed trackers get a remove message', async t => {
+    const server = await startTestServer(t);
+    const device = await loginDevice(server);
+    const other = await loginDevice(server, OTHER_IMEI);
+    await device.send(fixAt(DEPOT));
+    await other.send(fixAt(AWAY));
+
+    const client = await connectClient(t, server);
+    assert.equal((await client.next('initial_state')).data.length, 2);
+
+    const { subscribed, imeis } = await client.subscribe({ type: 'subscribe', bbox: DEPOT_BBOX });
+    assert.deepEqual(subscribed.data.bbox, { minLon: 85.2, minLat: 27.6, maxLon: 85.4, maxLat: 27.8 });
+    assert.deepEqual(imeis, [IMEI]);
+
+    // Updates outside the subscription are not sent; feed messages arrive in order
+    await other.send(fixAt({ ...AWAY, lat: 28.6 }));
+    await device.send(fixAt({ ...DEPOT, lat: 27.71 }));
+    let message = await client.next('update', 'remove');
+    assert.equal(message.type, 'update');
+    assert.equal(message.data.imei, IMEI);
+    assert.equal(message.data.lat, 27.71);
+
+    // Leaving the bbox removes the tracker once
+    await device.send(fixAt(AWAY));
+    assert.deepEqual(await client.next('update', 'remove'), { type: 'remove', imei: IMEI });
+    await device.send(fixAt({ ...AWAY, lat: 28.7 }));
+
+    assert.deepEqual((await client.subscribe({ type: 'subscribe', imeis: [OTHER_IMEI] })).imeis, [OTHER_IMEI]);
+    await other.send(fixAt({ ...AWAY, lat: 28.8 }));
+    message = await client.next('update', 'remove');
+    assert.equal(message.data.imei, OTHER_IMEI);
+    assert.equal(message.data.lat, 28.8);
+
+    assert.equal((await client.subscribe({ type: 'subscribe', bbox: [1, 2, 3] })).subscribed.error, 'invalid_subscription');
+    assert.deepEqual((await client.subscribe({ type: 'unsubscribe', imeis: [OTHER_IMEI] })).imeis, []);
+    assert.deepEqual((await client.subscribe({ type: 'subscribe', all: true })).imeis, [IMEI, OTHER_IMEI]);
+});
+
+test('a slow client is sent only the latest of the updates parked for a tracker', async t => {
+    const server = await startTestServer(t, { wsSlowClientBufferBytes: 1024, wsInjectorTokens: ['injector'] });
+    const device = await loginDevice(server);
+    await device.send(fixAt(DEPOT)); // Online before the client slows down: one update per fix from here on
+
+    // Enough simulated trackers that a few snapshots fill the socket buffers of a client that stops reading
+    const injector = await connectClient(t, server, { headers: { Authorization: 'Bearer injector' } });
+    for (let i = 0; i < 2000; i++) {
+        injector.send(JSON.stringify({ type: 'update', data: { imei: `sim${i}`, ...AWAY } }));
+    }
+    await injector.subscribe({ type: 'subscribe', all: true }); // Handled after every injected position
+
+    let socket;
+    const slow = await connectClient(t, server, { createConnection: options => (socket = net.connect(options)) });
+    await slow.next('initial_state');
+    socket.pause();
+    const slowStats = async () => (await adminApi(server, '/api/ws/clients')).body.at(-1);
+    while ((await slowStats()).bufferedAmount <= 1024) slow.send(JSON.stringify({ type: 'subscribe', all: true }));
+
+    for (const lat of [27.71, 27.72, 27.73]) await device.send(fixAt({ ...DEPOT, lat }));
+    const stats = await slowStats();
+    assert.equal(stats.pendingUpdates, 1);
+    assert.equal(stats.coalesced, 2);
+
+    // Once the client reads again the flush sends the newest fix, and only that one
+    socket.resume();
+    assert.equal((await slow.next('update')).data.lat, 27.73);
+    await device.send(fixAt({ ...DEPOT, lat: 27.74 }));
+    assert.equal((await slow.next('update')).data.lat, 27.74);
+    assert.equal((await slowStats()).pendingUpdates, 0);
+});